@@ -12,6 +12,16 @@ import './models/Group.js';
 import './models/Message.js';
 import './models/GroupMember.js';
 import './models/Status.js';
+import './models/ScheduledMessage.js';
+import './models/SystemSettings.js';
+import './models/RetentionLog.js';
+import './models/Bookmark.js';
+import './models/IdempotencyKey.js';
+import './models/PurgeLog.js';
+import './models/Report.js';
+import './models/AutoModerationRule.js';
+import './models/AutoModerationLog.js';
+import './models/HeldMessage.js';
 
 // Import routes
 import statusRoutes from './routes/statusRoutes.js';
@@ -20,9 +30,14 @@ import groupRoutes from './routes/groupRoutes.js';
 import messageRoutes from './routes/messageRoutes.js';
 import groupMemberRoutes from './routes/groupMemberRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import bookmarkRoutes from './routes/bookmarkRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+
+// Import background jobs
+import { startBackgroundJobs } from './jobs/index.js';
 
 // Import models for direct use
-import User from './models/User.js';
+import User, { getActiveSince } from './models/User.js';
 import Group from './models/Group.js';
 
 const app = express();
@@ -45,6 +60,8 @@ app.use('/api/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/group-members', groupMemberRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint (important for Vercel)
 app.get('/api/health', (req, res) => {
@@ -133,12 +150,12 @@ app.post('/api/user/:userId/offline', async (req, res) => {
 
 app.get('/api/online-users', async (req, res) => {
     try {
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+        const activeSince = getActiveSince();
         
         const [onlineUsersCount, totalUsersCount, onlineUsers] = await Promise.all([
-            User.countDocuments({ lastActive: { $gte: fiveMinutesAgo } }),
+            User.countDocuments({ lastActive: { $gte: activeSince } }),
             User.countDocuments(),
-            User.find({ lastActive: { $gte: fiveMinutesAgo } })
+            User.find({ lastActive: { $gte: activeSince } })
                 .select('name email lastActive')
                 .sort({ lastActive: -1 })
                 .limit(20)
@@ -210,8 +227,8 @@ const initializeDB = async () => {
     }
 };
 
-// Initialize database on cold start
-initializeDB();
+// Initialize database on cold start, then start background jobs
+initializeDB().then(startBackgroundJobs);
 
 // Export for Vercel serverless
 export default app;
\ No newline at end of file
@@ -1,8 +1,12 @@
 // controllers/adminController.js
-import User from '../models/User.js';
+import User, { getActiveSince } from '../models/User.js';
 import Group from '../models/Group.js';
 import GroupMember from '../models/GroupMember.js';
-import Message from '../models/Message.js';
+import SystemSettings from '../models/SystemSettings.js';
+import RetentionLog from '../models/RetentionLog.js';
+import { listReports } from './moderationController.js';
+import { deleteMessagesWithFiles } from './messageController.js';
+import { emitGroupEvent } from '../utils/messageEvents.js';
 
 /**
  * Utility function to check admin permissions
@@ -136,7 +140,8 @@ export const getAllGroups = async (req, res) => {
     try {
         await checkAdminPermission(req.user._id);
 
-        const groups = await Group.find()
+        // Direct conversations have no name and aren't assignable
+        const groups = await Group.find({ type: { $ne: 'direct' } })
             .select('name description isPublic maxMembers createdAt')
             .sort({ name: 1 })
             .lean();
@@ -180,7 +185,7 @@ export const getAllUsers = async (req, res) => {
         const usersWithStatus = users.map(user => ({
             ...user,
             isCurrentlyOnline: user.lastActive && 
-                new Date(user.lastActive) > new Date(Date.now() - 5 * 60 * 1000)
+                new Date(user.lastActive) > getActiveSince()
         }));
 
         res.status(200).json({
@@ -309,13 +314,22 @@ export const deleteUser = async (req, res) => {
 
         const userToDelete = await validateUserExists(userId);
 
+        const activeMemberships = await GroupMember.find({ user: userId, isActive: true })
+            .select('group')
+            .lean();
+
         // Use transaction-like operations
         await Promise.all([
             GroupMember.deleteMany({ user: userId }),
-            Message.deleteMany({ sender: userId }),
+            deleteMessagesWithFiles({ sender: userId }),
             User.findByIdAndDelete(userId)
         ]);
 
+        // Same event as a removal, so open streams of the deleted user drop every group
+        activeMemberships.forEach(({ group }) => {
+            emitGroupEvent('member.removed', group, { userId: userToDelete._id, removedBy: adminId });
+        });
+
         res.status(200).json({
             success: true,
             message: `User ${userToDelete.name} deleted successfully`
@@ -374,4 +388,182 @@ export const getUserById = async (req, res) => {
             message: 'Error fetching user details'
         });
     }
+};
+
+/**
+ * Get system-wide retention settings
+ */
+export const getRetentionSettings = async (req, res) => {
+    try {
+        await checkAdminPermission(req.user._id);
+
+        const settings = await SystemSettings.getSettings();
+        const groupsWithRetention = await Group.find({ retentionDays: { $ne: null } })
+            .select('name retentionDays')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                maxRetentionDays: settings.maxRetentionDays,
+                updatedBy: settings.updatedBy,
+                updatedAt: settings.updatedAt,
+                groupsWithRetention
+            }
+        });
+
+    } catch (error) {
+        console.error('Get retention settings error:', error);
+
+        if (error.message.includes('Only administrators')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching retention settings'
+        });
+    }
+};
+
+/**
+ * Set the system-wide maximum message retention (Super admin only)
+ */
+export const updateRetentionSettings = async (req, res) => {
+    try {
+        const { maxRetentionDays } = req.body;
+        const adminUser = await checkAdminPermission(req.user._id);
+
+        if (adminUser.role !== 'super_admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only super administrators can change the retention maximum'
+            });
+        }
+
+        const settings = await SystemSettings.findOneAndUpdate(
+            { key: 'global' },
+            { maxRetentionDays, updatedBy: adminUser._id },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        console.log(`🗄️ Retention maximum set to ${maxRetentionDays ?? 'none'} by ${adminUser._id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Retention settings updated successfully',
+            data: settings
+        });
+
+    } catch (error) {
+        console.error('Update retention settings error:', error);
+
+        if (error.message.includes('Only administrators')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating retention settings',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get the log of retention purge runs
+ */
+export const getRetentionLogs = async (req, res) => {
+    try {
+        await checkAdminPermission(req.user._id);
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const [logs, totalCount] = await Promise.all([
+            RetentionLog.find()
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            RetentionLog.countDocuments()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: logs.length,
+            data: logs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalLogs: totalCount,
+                hasNext: page < Math.ceil(totalCount / limit),
+                hasPrev: page > 1
+            }
+        });
+
+    } catch (error) {
+        console.error('Get retention logs error:', error);
+
+        if (error.message.includes('Only administrators')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching retention logs'
+        });
+    }
+};
+
+/**
+ * Get the system-wide report queue across all groups
+ */
+export const getReports = async (req, res) => {
+    try {
+        await checkAdminPermission(req.user._id);
+
+        const { status = 'open', reason, groupId } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const data = await listReports(
+            {
+                status,
+                ...(reason && { reason }),
+                ...(groupId && { group: groupId })
+            },
+            { page, limit }
+        );
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('Get reports error:', error);
+
+        if (error.message.includes('Only administrators')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reports'
+        });
+    }
 };
\ No newline at end of file
@@ -1,9 +1,11 @@
 // controllers/authController.js
-import User from '../models/User.js';
+import User, { getActiveSince } from '../models/User.js';
 import Group from '../models/Group.js';
 import GroupMember from '../models/GroupMember.js';
 import Message from '../models/Message.js';
-import generateToken from '../utils/generateToken.js';
+import generateToken, { generateStreamTicket, STREAM_TICKET_TTL_SECONDS } from '../utils/generateToken.js';
+import { withReactionCounts } from '../utils/reactions.js';
+import { withPollResults } from '../utils/polls.js';
 
 /**
  * Utility function to find or create Main Chat group
@@ -49,10 +51,11 @@ const ensureGroupMembership = async (userId, groupId) => {
 /**
  * Get group data with messages and member count
  */
-const getGroupData = async (groupId, limit = 50) => {
+const getGroupData = async (groupId, userId = null, limit = 50) => {
     const [group, messages, memberCount] = await Promise.all([
         Group.findById(groupId).lean(),
-        Message.find({ group: groupId })
+        Message.find({ group: groupId, parentMessage: null })
+            .select('+poll.votes')
             .populate('sender', 'name email')
             .sort({ createdAt: 1 }) // Oldest first for proper chat display
             .limit(limit)
@@ -62,7 +65,7 @@ const getGroupData = async (groupId, limit = 50) => {
 
     return {
         group: { ...group, memberCount },
-        messages
+        messages: withPollResults(withReactionCounts(messages, userId), userId)
     };
 };
 
@@ -143,7 +146,7 @@ export const signup = async (req, res) => {
         const token = generateToken(user._id);
 
         // Get group data
-        const groupData = await getGroupData(finalGroup._id);
+        const groupData = await getGroupData(finalGroup._id, user._id);
 
         // Prepare user response
         const userResponse = {
@@ -250,7 +253,7 @@ export const login = async (req, res) => {
         await ensureGroupMembership(user._id, targetGroup._id);
 
         // Get group data
-        const groupData = await getGroupData(targetGroup._id);
+        const groupData = await getGroupData(targetGroup._id, user._id);
 
         // Prepare user response
         const userResponse = {
@@ -394,7 +397,7 @@ export const getProfile = async (req, res) => {
         const userWithStatus = {
             ...user,
             isCurrentlyOnline: user.lastActive && 
-                new Date(user.lastActive) > new Date(Date.now() - 5 * 60 * 1000)
+                new Date(user.lastActive) > getActiveSince()
         };
 
         res.status(200).json({
@@ -411,9 +414,74 @@ export const getProfile = async (req, res) => {
     }
 };
 
+/**
+ * Issue a short-lived ticket for opening the message stream or loading attachments by URL.
+ * It is checked when the connection opens; fetch a new one for each reconnect.
+ */
+export const createStreamTicket = async (req, res) => {
+    try {
+        const ticket = generateStreamTicket(req.user._id);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ticket,
+                expiresAt: new Date(Date.now() + STREAM_TICKET_TTL_SECONDS * 1000)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Create stream ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error creating stream ticket'
+        });
+    }
+};
+
+/**
+ * Update Privacy Settings
+ */
+export const updatePrivacySettings = async (req, res) => {
+    try {
+        const { hideReadReceipts } = req.body;
+        const userId = req.user._id;
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { 'privacy.hideReadReceipts': hideReadReceipts },
+            { new: true, runValidators: true }
+        ).select('privacy');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`🔒 Privacy settings updated for user: ${userId}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Privacy settings updated successfully',
+            data: user.privacy
+        });
+
+    } catch (error) {
+        console.error('❌ Update privacy settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating privacy settings',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
 export default {
     signup,
     login,
     getProfile,
-    changePassword
+    changePassword,
+    updatePrivacySettings
 };
\ No newline at end of file
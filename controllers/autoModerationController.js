@@ -0,0 +1,332 @@
+// controllers/autoModerationController.js
+import Group from '../models/Group.js';
+import GroupMember from '../models/GroupMember.js';
+import AutoModerationRule, { MASKABLE_RULE_TYPES } from '../models/AutoModerationRule.js';
+import AutoModerationLog from '../models/AutoModerationLog.js';
+import { compileRulePattern, isSafeRulePattern } from '../utils/autoModeration.js';
+
+// Most rules a single group (or the system defaults) can have
+const MAX_MODERATION_RULES = parseInt(process.env.MAX_MODERATION_RULES) || 50;
+
+// Fields a rule can be created or updated with
+const RULE_FIELDS = [
+    'name', 'action', 'isEnabled', 'words', 'pattern', 'allowedDomains', 'maxMentions',
+    'floodMaxRepeats', 'floodWindowSeconds', 'capsRatio', 'capsMinLength'
+];
+
+/**
+ * Utility functions
+ */
+
+// Routes with a groupId manage that group's rules (group admins); the rest manage
+// the system-wide defaults (platform admins). Returns the rule scope: a group id or null.
+const resolveRuleScope = async (req, { allowModerators = false } = {}) => {
+    const { groupId } = req.params;
+
+    if (!groupId) {
+        if (!['admin', 'super_admin'].includes(req.user.role)) {
+            throw new Error('Only administrators can manage system-wide auto-moderation rules');
+        }
+        return null;
+    }
+
+    if (!(await Group.exists({ _id: groupId }))) {
+        throw new Error('Group not found');
+    }
+
+    const membership = await GroupMember.exists({
+        user: req.user._id,
+        group: groupId,
+        role: { $in: allowModerators ? ['admin', 'moderator'] : ['admin'] },
+        isActive: true
+    });
+
+    if (!membership) {
+        throw new Error(allowModerators
+            ? 'Only group admins and moderators can view auto-moderation logs'
+            : 'Only group admins can manage auto-moderation rules');
+    }
+
+    return groupId;
+};
+
+// Check the settings the rule's type needs once a create or update has been applied
+const validateRuleSettings = (rule) => {
+    // Regex rules run on the event loop for every message; only platform admins are trusted with them
+    if (rule.type === 'regex' && rule.group) {
+        throw new Error('Invalid rule: regex rules can only be set as system-wide defaults');
+    }
+
+    if (rule.action === 'mask' && !MASKABLE_RULE_TYPES.includes(rule.type)) {
+        throw new Error(`Invalid rule: only ${MASKABLE_RULE_TYPES.join(', ')} rules can mask`);
+    }
+
+    if (rule.type === 'banned_words' && !rule.words?.some(Boolean)) {
+        throw new Error('Invalid rule: banned_words rules need at least one word');
+    }
+
+    if (rule.type === 'regex') {
+        if (!rule.pattern) {
+            throw new Error('Invalid rule: regex rules need a pattern');
+        }
+
+        try {
+            compileRulePattern(rule.pattern);
+        } catch {
+            throw new Error('Invalid rule: pattern is not a valid regular expression');
+        }
+
+        if (!isSafeRulePattern(rule.pattern)) {
+            throw new Error('Invalid rule: pattern cannot use backreferences or repeat a group that contains a quantifier or alternation');
+        }
+    }
+
+    if (rule.type === 'max_mentions' && (rule.maxMentions === null || rule.maxMentions === undefined)) {
+        throw new Error('Invalid rule: max_mentions rules need maxMentions');
+    }
+
+    if (rule.type === 'flood' && (!rule.floodMaxRepeats || !rule.floodWindowSeconds)) {
+        throw new Error('Invalid rule: flood rules need floodMaxRepeats and floodWindowSeconds');
+    }
+
+    if (rule.type === 'caps_ratio' && (rule.capsRatio === null || rule.capsRatio === undefined)) {
+        throw new Error('Invalid rule: caps_ratio rules need capsRatio');
+    }
+};
+
+// Map scope and rule errors to status codes
+const sendRuleError = (res, error, fallbackMessage) => {
+    if (error.message.includes('Only administrators') ||
+        error.message.includes('Only group admins')) {
+        return res.status(403).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('Group not found')) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message.includes('Invalid rule') ||
+        error.message.includes('Too many rules')) {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        const errors = Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+        }));
+
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+};
+
+/**
+ * List auto-moderation rules. For a group this includes the system-wide defaults it inherits.
+ */
+export const getModerationRules = async (req, res) => {
+    try {
+        const scope = await resolveRuleScope(req);
+
+        const rules = await AutoModerationRule.find({ group: scope })
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        if (!scope) {
+            return res.status(200).json({
+                success: true,
+                data: { rules }
+            });
+        }
+
+        const group = await Group.findById(scope).select('inheritModerationDefaults').lean();
+        const defaults = await AutoModerationRule.find({ group: null, isEnabled: true })
+            .select('-createdBy -updatedBy')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                rules,
+                inheritModerationDefaults: group.inheritModerationDefaults !== false,
+                defaults
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get moderation rules error:', error);
+        sendRuleError(res, error, 'Error fetching auto-moderation rules');
+    }
+};
+
+/**
+ * Create an auto-moderation rule for a group or as a system-wide default
+ */
+export const createModerationRule = async (req, res) => {
+    try {
+        const scope = await resolveRuleScope(req);
+
+        const ruleCount = await AutoModerationRule.countDocuments({ group: scope });
+        if (ruleCount >= MAX_MODERATION_RULES) {
+            throw new Error(`Too many rules: at most ${MAX_MODERATION_RULES} are allowed`);
+        }
+
+        const rule = new AutoModerationRule({
+            group: scope,
+            type: req.body.type,
+            createdBy: req.user._id
+        });
+
+        RULE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => rule.set(field, req.body[field]));
+
+        validateRuleSettings(rule);
+        await rule.save();
+
+        console.log(`🛡️ Auto-moderation rule ${rule._id} (${rule.type}) created for ${scope ? `group ${scope}` : 'all groups'}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Auto-moderation rule created successfully',
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('❌ Create moderation rule error:', error);
+        sendRuleError(res, error, 'Error creating auto-moderation rule');
+    }
+};
+
+/**
+ * Update an auto-moderation rule; its type cannot change
+ */
+export const updateModerationRule = async (req, res) => {
+    try {
+        const scope = await resolveRuleScope(req);
+
+        const rule = await AutoModerationRule.findOne({ _id: req.params.ruleId, group: scope });
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auto-moderation rule not found'
+            });
+        }
+
+        RULE_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => rule.set(field, req.body[field]));
+        rule.updatedBy = req.user._id;
+
+        validateRuleSettings(rule);
+        await rule.save();
+
+        console.log(`🛡️ Auto-moderation rule ${rule._id} updated`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Auto-moderation rule updated successfully',
+            data: rule
+        });
+
+    } catch (error) {
+        console.error('❌ Update moderation rule error:', error);
+        sendRuleError(res, error, 'Error updating auto-moderation rule');
+    }
+};
+
+/**
+ * Delete an auto-moderation rule; its log entries are kept
+ */
+export const deleteModerationRule = async (req, res) => {
+    try {
+        const scope = await resolveRuleScope(req);
+
+        const rule = await AutoModerationRule.findOneAndDelete({ _id: req.params.ruleId, group: scope });
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Auto-moderation rule not found'
+            });
+        }
+
+        console.log(`🗑️ Auto-moderation rule ${rule._id} deleted`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Auto-moderation rule deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Delete moderation rule error:', error);
+        sendRuleError(res, error, 'Error deleting auto-moderation rule');
+    }
+};
+
+/**
+ * List rule hits, newest first: a group's (admins and moderators) or every group's (platform admins)
+ */
+export const getModerationLogs = async (req, res) => {
+    try {
+        const scope = await resolveRuleScope(req, { allowModerators: true });
+        const { ruleId, outcome, groupId } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {
+            ...(scope ? { group: scope } : groupId && { group: groupId }),
+            ...(ruleId && { rule: ruleId }),
+            ...(outcome && { outcome })
+        };
+
+        const [logs, totalCount] = await Promise.all([
+            AutoModerationLog.find(filter)
+                .populate('user', 'name email')
+                .populate('group', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            AutoModerationLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                logs,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalLogs: totalCount,
+                    hasNext: page < Math.ceil(totalCount / limit),
+                    hasPrev: page > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get moderation logs error:', error);
+        sendRuleError(res, error, 'Error fetching auto-moderation logs');
+    }
+};
\ No newline at end of file
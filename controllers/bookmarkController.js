@@ -0,0 +1,195 @@
+// controllers/bookmarkController.js
+import Bookmark from '../models/Bookmark.js';
+import Message from '../models/Message.js';
+import GroupMember from '../models/GroupMember.js';
+
+/**
+ * Save a message to the user's bookmarks, or update the note on an existing bookmark
+ */
+export const saveBookmark = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { note } = req.body;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId).select('group isDeleted').lean();
+        if (!message || message.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const membership = await GroupMember.exists({
+            user: userId,
+            group: message.group,
+            isActive: true
+        });
+
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        // Leaving the note out keeps the existing one; null clears it
+        const result = await Bookmark.findOneAndUpdate(
+            { user: userId, message: messageId },
+            {
+                group: message.group,
+                ...(note !== undefined && { note: note ? note.trim() : null })
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+        );
+
+        const created = !result.lastErrorObject?.updatedExisting;
+
+        console.log(`🔖 Bookmark ${created ? 'saved' : 'updated'} for message ${messageId}`);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Message bookmarked successfully' : 'Bookmark updated successfully',
+            data: result.value
+        });
+
+    } catch (error) {
+        console.error('❌ Save bookmark error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error saving bookmark',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Remove a message from the user's bookmarks
+ */
+export const removeBookmark = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const bookmark = await Bookmark.findOneAndDelete({ user: userId, message: messageId });
+
+        if (!bookmark) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bookmark not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Bookmark removed successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Remove bookmark error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error removing bookmark'
+        });
+    }
+};
+
+/**
+ * List the user's bookmarks across groups, newest first.
+ * Bookmarks whose message was deleted, or whose group the user has left,
+ * are kept but marked unavailable without the message content.
+ */
+export const getBookmarks = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const { groupId } = req.query;
+
+        const filter = {
+            user: userId,
+            ...(groupId && { group: groupId })
+        };
+
+        const skip = (page - 1) * limit;
+
+        const [bookmarks, totalCount] = await Promise.all([
+            Bookmark.find(filter)
+                .populate({
+                    path: 'message',
+                    select: 'content sender group messageType attachment.filename attachment.size attachment.mimeType attachment.checksum isDeleted isEdited createdAt',
+                    populate: { path: 'sender', select: 'name email' }
+                })
+                .populate('group', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Bookmark.countDocuments(filter)
+        ]);
+
+        const memberships = await GroupMember.find({
+            user: userId,
+            isActive: true,
+            group: { $in: bookmarks.map(bookmark => bookmark.group?._id || bookmark.group) }
+        })
+            .select('group')
+            .lean();
+
+        const accessibleGroups = new Set(memberships.map(membership => membership.group.toString()));
+
+        const data = bookmarks.map(({ message, ...bookmark }) => {
+            const groupId = (bookmark.group?._id || bookmark.group).toString();
+
+            let unavailableReason = null;
+            if (!message || message.isDeleted) {
+                unavailableReason = 'message_deleted';
+            } else if (!accessibleGroups.has(groupId)) {
+                unavailableReason = 'no_access';
+            }
+
+            return {
+                ...bookmark,
+                isAvailable: !unavailableReason,
+                unavailableReason,
+                message: unavailableReason ? null : message
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                bookmarks: data,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalBookmarks: totalCount,
+                    hasNext: page < Math.ceil(totalCount / limit),
+                    hasPrev: page > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get bookmarks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching bookmarks',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
\ No newline at end of file
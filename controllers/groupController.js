@@ -1,8 +1,19 @@
 // controllers/groupController.js
-import Group from '../models/Group.js';
+import Group, { MAX_DIRECT_PARTICIPANTS, buildParticipantKey } from '../models/Group.js';
 import GroupMember from '../models/GroupMember.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { withReactionCounts } from '../utils/reactions.js';
+import { withPollResults } from '../utils/polls.js';
+import { emitGroupEvent } from '../utils/messageEvents.js';
+import { countUnread, deleteMessagesWithFiles } from './messageController.js';
+
+// Most messages a group can have pinned at once
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 25;
+
+// Characters of the last message shown in the inbox preview
+const INBOX_SNIPPET_LENGTH = 100;
 
 /**
  * Utility functions
@@ -35,18 +46,171 @@ const getGroupWithMemberCount = async (groupId) => {
     return { ...group, memberCount };
 };
 
+// Direct conversations have no name, so list who is in them instead
+const withDirectParticipants = async (groups) => {
+    const directGroupIds = groups
+        .filter(group => group.type === 'direct')
+        .map(group => group._id);
+
+    if (directGroupIds.length === 0) {
+        return groups;
+    }
+
+    const memberships = await GroupMember.find({ group: { $in: directGroupIds }, isActive: true })
+        .select('group user')
+        .populate('user', 'name email')
+        .lean();
+
+    const participantsByGroup = new Map();
+    memberships
+        .filter(membership => membership.user)
+        .forEach(({ group, user }) => {
+            const key = group.toString();
+            participantsByGroup.set(key, [...(participantsByGroup.get(key) || []), user]);
+        });
+
+    return groups.map(group => group.type === 'direct'
+        ? { ...group, participants: participantsByGroup.get(group._id.toString()) || [] }
+        : group
+    );
+};
+
+// Get pinned messages of a group, most recently pinned first
+const getPinnedMessages = async (groupId) => {
+    return Message.find({ group: groupId, pinnedAt: { $ne: null } })
+        .select('+poll.votes')
+        .populate('sender', 'name email')
+        .populate('pinnedBy', 'name email')
+        .sort({ pinnedAt: -1 })
+        .limit(MAX_PINNED_MESSAGES)
+        .lean();
+};
+
+// Post a system message to a group and broadcast it
+export const postSystemMessage = async (groupId, userId, content) => {
+    const message = await Message.create({
+        content,
+        sender: userId,
+        group: groupId,
+        messageType: 'system'
+    });
+
+    const populatedMessage = await Message.findById(message._id)
+        .populate('sender', 'name email')
+        .lean();
+
+    emitGroupEvent('message.created', groupId, populatedMessage);
+
+    return populatedMessage;
+};
+
 // Get group data with messages
-const getGroupData = async (groupId, messageLimit = 50) => {
-    const [groupData, messages] = await Promise.all([
+const getGroupData = async (groupId, userId = null, messageLimit = 50) => {
+    const [groupData, messages, pinnedMessages] = await Promise.all([
         getGroupWithMemberCount(groupId),
-        Message.find({ group: groupId })
+        Message.find({ group: groupId, parentMessage: null })
+            .select('+poll.votes')
             .populate('sender', 'name email')
             .sort({ createdAt: 1 })
             .limit(messageLimit)
-            .lean()
+            .lean(),
+        getPinnedMessages(groupId)
     ]);
     
-    return { group: groupData, messages };
+    return {
+        group: groupData,
+        messages: withPollResults(withReactionCounts(messages, userId), userId),
+        pinnedMessages: withPollResults(withReactionCounts(pinnedMessages, userId), userId)
+    };
+};
+
+// Build the inbox for a user: one row per active membership with its group and last
+// timeline message from a single aggregation, plus unread and mention counts past the read cursor
+const getInboxForUser = async (userId) => {
+    const inbox = await GroupMember.aggregate([
+        { $match: { user: userId, isActive: true } },
+        {
+            $lookup: {
+                from: Group.collection.name,
+                localField: 'group',
+                foreignField: '_id',
+                as: 'group'
+            }
+        },
+        { $unwind: '$group' },
+        {
+            $lookup: {
+                from: Message.collection.name,
+                let: { groupId: '$group._id' },
+                pipeline: [
+                    {
+                        $match: {
+                            $expr: { $eq: ['$group', '$$groupId'] },
+                            parentMessage: null
+                        }
+                    },
+                    { $sort: { createdAt: -1, _id: -1 } },
+                    { $limit: 1 },
+                    {
+                        $lookup: {
+                            from: User.collection.name,
+                            localField: 'sender',
+                            foreignField: '_id',
+                            pipeline: [{ $project: { name: 1, email: 1 } }],
+                            as: 'sender'
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 1,
+                            sender: { $ifNull: [{ $first: '$sender' }, null] },
+                            snippet: { $substrCP: [{ $ifNull: ['$content', ''] }, 0, INBOX_SNIPPET_LENGTH] },
+                            messageType: 1,
+                            isDeleted: 1,
+                            hasAttachment: { $gt: ['$attachment', null] },
+                            createdAt: 1
+                        }
+                    }
+                ],
+                as: 'lastMessage'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                group: {
+                    _id: '$group._id',
+                    type: { $ifNull: ['$group.type', 'group'] },
+                    name: '$group.name',
+                    description: '$group.description',
+                    isPublic: '$group.isPublic',
+                    maxMembers: '$group.maxMembers'
+                },
+                role: 1,
+                joinedAt: 1,
+                lastReadMessage: 1,
+                lastReadMessageAt: 1,
+                lastMessage: { $ifNull: [{ $first: '$lastMessage' }, null] },
+                // Groups without messages sort by when the user joined
+                lastActivityAt: {
+                    $ifNull: [{ $first: '$lastMessage.createdAt' }, '$joinedAt']
+                }
+            }
+        },
+        { $sort: { lastActivityAt: -1 } }
+    ]);
+
+    // Counted per membership with plain range queries, which use the { group, parentMessage, createdAt } index
+    const [groups, counts] = await Promise.all([
+        withDirectParticipants(inbox.map(entry => entry.group)),
+        Promise.all(inbox.map(entry => countUnread({
+            group: entry.group._id,
+            user: userId,
+            lastReadMessageAt: entry.lastReadMessageAt
+        })))
+    ]);
+
+    return inbox.map((entry, index) => ({ ...entry, ...counts[index], group: groups[index] }));
 };
 
 // Create default groups if they don't exist
@@ -78,7 +242,7 @@ export const getPublicGroupsForDemo = async (req, res) => {
         // Ensure default groups exist
         await createDefaultGroups();
 
-        const groups = await Group.find({ isPublic: true })
+        const groups = await Group.find({ isPublic: true, type: { $ne: 'direct' } })
             .select('name description isPublic maxMembers createdAt')
             .sort({ name: 1 })
             .limit(10)
@@ -117,7 +281,7 @@ export const getPublicGroupsForDemo = async (req, res) => {
 // Get all public groups
 export const getAllPublicGroups = async (req, res) => {
     try {
-        const groups = await Group.find({ isPublic: true })
+        const groups = await Group.find({ isPublic: true, type: { $ne: 'direct' } })
             .select('name description maxMembers createdAt')
             .sort({ name: 1 })
             .lean();
@@ -153,7 +317,7 @@ export const getAllPublicGroups = async (req, res) => {
 // Get all groups (for admin/demo purposes)
 export const getAllGroups = async (req, res) => {
     try {
-        const groups = await Group.find()
+        const groups = await Group.find({ type: { $ne: 'direct' } })
             .select('name description isPublic maxMembers createdAt')
             .sort({ name: 1 })
             .lean();
@@ -343,7 +507,7 @@ export const deleteGroupPublic = async (req, res) => {
 
         // Delete all related data in parallel
         await Promise.all([
-            Message.deleteMany({ group: groupId }),
+            deleteMessagesWithFiles({ group: groupId }),
             GroupMember.deleteMany({ group: groupId }),
             Group.findByIdAndDelete(groupId)
         ]);
@@ -429,6 +593,120 @@ export const createGroup = async (req, res) => {
     }
 };
 
+// Open the direct conversation between the user and the given users, creating it on first use.
+// The same set of participants always gets the same conversation, in any order.
+export const openDirectConversation = async (req, res) => {
+    try {
+        const { userIds } = req.body;
+        const userId = req.user._id;
+
+        const participantIds = [...new Set([userId.toString(), ...userIds.map(id => id.toString())])];
+
+        if (participantIds.length < 2) {
+            throw new Error('A direct conversation needs at least one other participant');
+        }
+
+        if (participantIds.length > MAX_DIRECT_PARTICIPANTS) {
+            throw new Error(`A direct conversation can have at most ${MAX_DIRECT_PARTICIPANTS} participants`);
+        }
+
+        const userCount = await User.countDocuments({ _id: { $in: participantIds } });
+        if (userCount !== participantIds.length) {
+            throw new Error('One or more users not found');
+        }
+
+        const participantKey = buildParticipantKey(participantIds);
+
+        let result;
+        try {
+            result = await Group.findOneAndUpdate(
+                { participantKey },
+                {
+                    $setOnInsert: {
+                        type: 'direct',
+                        participantKey,
+                        isPublic: false,
+                        maxMembers: MAX_DIRECT_PARTICIPANTS,
+                        createdBy: userId
+                    }
+                },
+                { new: true, upsert: true, includeResultMetadata: true }
+            );
+        } catch (error) {
+            // A concurrent request created the same conversation first
+            if (error.code !== 11000) {
+                throw error;
+            }
+            result = { value: await Group.findOne({ participantKey }), lastErrorObject: { updatedExisting: true } };
+        }
+
+        const conversation = result.value;
+        const created = !result.lastErrorObject?.updatedExisting;
+
+        // Everyone is a plain member. Reopening only brings the conversation back for the caller;
+        // the others are added when it is first created and otherwise keep whatever they chose
+        const otherIds = created ? participantIds.filter(id => id !== userId.toString()) : [];
+
+        await GroupMember.bulkWrite([
+            {
+                updateOne: {
+                    filter: { user: userId, group: conversation._id },
+                    update: {
+                        $set: { isActive: true },
+                        $setOnInsert: { role: 'member', joinedAt: new Date() }
+                    },
+                    upsert: true
+                }
+            },
+            ...otherIds.map(participantId => ({
+                updateOne: {
+                    filter: { user: participantId, group: conversation._id },
+                    update: {
+                        $setOnInsert: { role: 'member', joinedAt: new Date(), isActive: true }
+                    },
+                    upsert: true
+                }
+            }))
+        ]);
+
+        if (created) {
+            console.log(`✅ Direct conversation created: ${conversation._id} (${participantIds.length} participants)`);
+        }
+
+        const [data] = await withDirectParticipants([conversation.toObject()]);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Direct conversation created successfully' : 'Direct conversation already exists',
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Open direct conversation error:', error);
+
+        if (error.message.includes('at least one other participant') ||
+            error.message.includes('at most')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('users not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error opening direct conversation',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
 // Get user's groups
 export const getUserGroups = async (req, res) => {
     try {
@@ -439,11 +717,11 @@ export const getUserGroups = async (req, res) => {
             .sort({ updatedAt: -1 })
             .lean();
 
-        const groups = userGroups.map(member => ({
+        const groups = await withDirectParticipants(userGroups.map(member => ({
             ...member.group,
             userRole: member.role,
             joinedAt: member.joinedAt
-        }));
+        })));
 
         res.status(200).json({
             success: true,
@@ -460,6 +738,33 @@ export const getUserGroups = async (req, res) => {
     }
 };
 
+// Get user's inbox: every group with its last message and unread counts
+export const getInbox = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const inbox = await getInboxForUser(userId);
+
+        res.status(200).json({
+            success: true,
+            count: inbox.length,
+            data: {
+                groups: inbox,
+                totalUnread: inbox.reduce((sum, entry) => sum + entry.unreadCount, 0),
+                totalMentions: inbox.reduce((sum, entry) => sum + entry.mentionCount, 0)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get inbox error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching inbox',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
 // Get main chat for user
 export const getMainChat = async (req, res) => {
     try {
@@ -492,7 +797,7 @@ export const getMainChat = async (req, res) => {
             });
         }
 
-        const groupData = await getGroupData(mainChat._id);
+        const groupData = await getGroupData(mainChat._id, userId);
 
         res.status(200).json({
             success: true,
@@ -528,7 +833,7 @@ export const getGroupDetails = async (req, res) => {
             });
         }
 
-        const groupData = await getGroupData(groupId);
+        const groupData = await getGroupData(groupId, userId);
 
         res.status(200).json({
             success: true,
@@ -551,7 +856,7 @@ export const getGroupDetails = async (req, res) => {
 export const updateGroup = async (req, res) => {
     try {
         const { groupId } = req.params;
-        const { name, description, isPublic, maxMembers } = req.body;
+        const { name, description, isPublic, maxMembers, messageEditWindowMinutes, retentionDays, allowForwarding, inheritModerationDefaults } = req.body;
         const userId = req.user._id;
 
         console.log('🔄 Updating group:', groupId);
@@ -583,11 +888,26 @@ export const updateGroup = async (req, res) => {
             await validateGroupName(name, groupId);
         }
 
+        // Retention cannot exceed the system-wide maximum set by super admins; null clears the policy
+        if (retentionDays !== undefined && retentionDays !== null) {
+            const { maxRetentionDays } = await SystemSettings.getSettings();
+            if (maxRetentionDays && retentionDays > maxRetentionDays) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Retention cannot exceed the system maximum of ${maxRetentionDays} days`
+                });
+            }
+        }
+
         const updateData = {
             ...(name && { name: name.trim() }),
             ...(description && { description: description.trim() }),
             ...(isPublic !== undefined && { isPublic }),
-            ...(maxMembers && { maxMembers: Math.min(Math.max(maxMembers, 1), 1000) })
+            ...(maxMembers && { maxMembers: Math.min(Math.max(maxMembers, 1), 1000) }),
+            ...(messageEditWindowMinutes !== undefined && { messageEditWindowMinutes }),
+            ...(retentionDays !== undefined && { retentionDays }),
+            ...(allowForwarding !== undefined && { allowForwarding }),
+            ...(inheritModerationDefaults !== undefined && { inheritModerationDefaults })
         };
 
         const updatedGroup = await Group.findByIdAndUpdate(
@@ -674,7 +994,7 @@ export const deleteGroup = async (req, res) => {
 
         // Delete all related data in parallel
         await Promise.all([
-            Message.deleteMany({ group: groupId }),
+            deleteMessagesWithFiles({ group: groupId }),
             GroupMember.deleteMany({ group: groupId }),
             Group.findByIdAndDelete(groupId)
         ]);
@@ -694,4 +1014,196 @@ export const deleteGroup = async (req, res) => {
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
+};
+
+// Get pinned messages of a group
+export const getGroupPins = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+
+        const membership = await GroupMember.findOne({
+            user: userId,
+            group: groupId,
+            isActive: true
+        });
+
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        const pinnedMessages = await getPinnedMessages(groupId);
+
+        res.status(200).json({
+            success: true,
+            count: pinnedMessages.length,
+            limit: MAX_PINNED_MESSAGES,
+            data: withPollResults(withReactionCounts(pinnedMessages, userId), userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Get group pins error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching pinned messages'
+        });
+    }
+};
+
+// Pin a message (Admin or moderator only)
+export const pinMessage = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { messageId } = req.body;
+        const userId = req.user._id;
+
+        console.log(`📌 Pinning message ${messageId} in group: ${groupId}`);
+
+        const moderatorMembership = await GroupMember.findOne({
+            user: userId,
+            group: groupId,
+            role: { $in: ['admin', 'moderator'] },
+            isActive: true
+        });
+
+        if (!moderatorMembership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can pin messages'
+            });
+        }
+
+        const message = await Message.findOne({ _id: messageId, group: groupId });
+        if (!message || message.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found in this group'
+            });
+        }
+
+        if (message.pinnedAt) {
+            return res.status(409).json({
+                success: false,
+                message: 'Message is already pinned'
+            });
+        }
+
+        const pinnedCount = await Message.countDocuments({ group: groupId, pinnedAt: { $ne: null } });
+        if (pinnedCount >= MAX_PINNED_MESSAGES) {
+            return res.status(400).json({
+                success: false,
+                message: `A group can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`
+            });
+        }
+
+        const pinnedAt = new Date();
+        const pinned = await Message.updateOne(
+            { _id: messageId, pinnedAt: null, isDeleted: { $ne: true } },
+            { pinnedAt, pinnedBy: userId }
+        );
+
+        if (pinned.matchedCount === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Message is already pinned'
+            });
+        }
+
+        // Concurrent pins can all pass the count above, so count again now that this one is
+        // in and take it back if the group went over; racing pins may both back off, never both stay
+        const pinnedAfter = await Message.countDocuments({ group: groupId, pinnedAt: { $ne: null } });
+
+        if (pinnedAfter > MAX_PINNED_MESSAGES) {
+            await Message.updateOne({ _id: messageId, pinnedAt }, { pinnedAt: null, pinnedBy: null });
+
+            return res.status(400).json({
+                success: false,
+                message: `A group can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`
+            });
+        }
+
+        const pinnedMessage = await Message.findById(messageId)
+            .populate('sender', 'name email')
+            .populate('pinnedBy', 'name email')
+            .lean();
+
+        await postSystemMessage(groupId, userId, `📌 ${req.user.name} pinned a message`);
+
+        emitGroupEvent('message.pinned', groupId, pinnedMessage);
+
+        console.log('✅ Message pinned:', messageId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Message pinned successfully',
+            data: withReactionCounts([pinnedMessage], userId)[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Pin message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error pinning message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+// Unpin a message (Admin or moderator only)
+export const unpinMessage = async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const userId = req.user._id;
+
+        console.log(`📍 Unpinning message ${messageId} in group: ${groupId}`);
+
+        const moderatorMembership = await GroupMember.findOne({
+            user: userId,
+            group: groupId,
+            role: { $in: ['admin', 'moderator'] },
+            isActive: true
+        });
+
+        if (!moderatorMembership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can unpin messages'
+            });
+        }
+
+        const unpinnedMessage = await Message.findOneAndUpdate(
+            { _id: messageId, group: groupId, pinnedAt: { $ne: null } },
+            { pinnedAt: null, pinnedBy: null },
+            { new: true }
+        ).lean();
+
+        if (!unpinnedMessage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pinned message not found in this group'
+            });
+        }
+
+        await postSystemMessage(groupId, userId, `📍 ${req.user.name} unpinned a message`);
+
+        emitGroupEvent('message.unpinned', groupId, { _id: unpinnedMessage._id });
+
+        console.log('✅ Message unpinned:', messageId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Message unpinned successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Unpin message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unpinning message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
 };
\ No newline at end of file
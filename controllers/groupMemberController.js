@@ -2,6 +2,17 @@
 import Group from '../models/Group.js';
 import GroupMember from '../models/GroupMember.js';
 import User from '../models/User.js';
+import { emitGroupEvent } from '../utils/messageEvents.js';
+
+// Deactivate a membership and tell the group's live streams
+export const removeGroupMember = async (groupId, userId, removedBy) => {
+    await GroupMember.findOneAndUpdate(
+        { user: userId, group: groupId },
+        { isActive: false }
+    );
+
+    emitGroupEvent('member.removed', groupId, { userId, removedBy });
+};
 
 // Invite user to private group (Admin only)
 export const inviteToGroup = async (req, res) => {
@@ -223,10 +234,7 @@ export const removeMember = async (req, res) => {
         }
 
         // Remove member
-        await GroupMember.findOneAndUpdate(
-            { user: userId, group: groupId },
-            { isActive: false }
-        );
+        await removeGroupMember(groupId, userId, adminId);
 
         res.status(200).json({
             success: true,
@@ -240,4 +248,122 @@ export const removeMember = async (req, res) => {
             message: 'Error removing member from group'
         });
     }
+};
+
+// Mute a member for a number of minutes (Admins and moderators; admins cannot be muted)
+export const muteMember = async (req, res) => {
+    try {
+        const { groupId, userId } = req.params;
+        const { minutes } = req.body;
+        const moderatorId = req.user._id;
+
+        const moderatorMembership = await GroupMember.findOne({
+            user: moderatorId,
+            group: groupId,
+            role: { $in: ['admin', 'moderator'] },
+            isActive: true
+        });
+
+        if (!moderatorMembership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can mute members'
+            });
+        }
+
+        const targetMembership = await GroupMember.findOne({
+            user: userId,
+            group: groupId,
+            isActive: true
+        });
+
+        if (!targetMembership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found in this group'
+            });
+        }
+
+        if (targetMembership.role === 'admin' || userId === moderatorId.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Group admins and yourself cannot be muted'
+            });
+        }
+
+        targetMembership.mutedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        targetMembership.mutedBy = moderatorId;
+        await targetMembership.save();
+
+        emitGroupEvent('member.muted', groupId, {
+            userId,
+            mutedUntil: targetMembership.mutedUntil,
+            mutedBy: moderatorId
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Member muted for ${minutes} minutes`,
+            data: {
+                userId,
+                mutedUntil: targetMembership.mutedUntil
+            }
+        });
+
+    } catch (error) {
+        console.error('Mute member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error muting member'
+        });
+    }
+};
+
+// Lift a member's mute early (Admins and moderators)
+export const unmuteMember = async (req, res) => {
+    try {
+        const { groupId, userId } = req.params;
+        const moderatorId = req.user._id;
+
+        const moderatorMembership = await GroupMember.findOne({
+            user: moderatorId,
+            group: groupId,
+            role: { $in: ['admin', 'moderator'] },
+            isActive: true
+        });
+
+        if (!moderatorMembership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can unmute members'
+            });
+        }
+
+        const targetMembership = await GroupMember.findOneAndUpdate(
+            { user: userId, group: groupId, isActive: true },
+            { mutedUntil: null, mutedBy: null },
+            { new: true }
+        );
+
+        if (!targetMembership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found in this group'
+            });
+        }
+
+        emitGroupEvent('member.unmuted', groupId, { userId, unmutedBy: moderatorId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Member unmuted successfully'
+        });
+
+    } catch (error) {
+        console.error('Unmute member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unmuting member'
+        });
+    }
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+// controllers/jobController.js
+import { runJob } from '../jobs/index.js';
+
+/**
+ * Run a background job once (Vercel cron); the same jobs run on intervals elsewhere
+ */
+export const runScheduledJob = async (req, res) => {
+    try {
+        const { jobName } = req.params;
+
+        console.log(`⏱️ Running job ${jobName} from cron`);
+
+        const result = await runJob(jobName);
+
+        res.status(200).json({
+            success: true,
+            message: `Job ${jobName} completed`,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('❌ Run job error:', error);
+
+        if (error.message.includes('Unknown job')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error running job',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
\ No newline at end of file
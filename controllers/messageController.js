@@ -1,14 +1,36 @@
 // controllers/messageController.js
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
 import Message from '../models/Message.js';
 import GroupMember from '../models/GroupMember.js';
 import Group from '../models/Group.js';
+import HeldMessage from '../models/HeldMessage.js';
+import User, { getActiveSince } from '../models/User.js';
+import { emitGroupEvent, subscribeToGroup } from '../utils/messageEvents.js';
+import { summarizeReactions, withReactionCounts } from '../utils/reactions.js';
+import { withPollResults } from '../utils/polls.js';
+import { parseSlashCommand, runSlashCommand } from '../utils/slashCommands/index.js';
+import { moderateContent, logAutoModerationHits } from '../utils/autoModeration.js';
+import { stopTyping } from '../utils/typingIndicators.js';
+import { extractSearchTerms, buildSnippet, escapeRegExp } from '../utils/search.js';
+import { getStorageAdapter, copyStoredFile, removeStoredFiles } from '../utils/storage/index.js';
+import { INLINE_MIME_TYPES } from '../middleware/upload.js';
+import {
+    DELETED_MESSAGE_RETENTION_DAYS,
+    tombstoneContent,
+    getRetentionCutoff,
+    getPurgeDate
+} from '../utils/tombstones.js';
+
+// Characters of a quoted message kept in the quote snapshot
+const QUOTE_SNIPPET_LENGTH = 200;
 
 /**
  * Utility functions
  */
 
 // Validate user membership in group
-const validateGroupMembership = async (userId, groupId) => {
+export const validateGroupMembership = async (userId, groupId) => {
     const membership = await GroupMember.findOne({
         user: userId,
         group: groupId,
@@ -22,6 +44,25 @@ const validateGroupMembership = async (userId, groupId) => {
     return membership;
 };
 
+// Muted members can read but not post
+const assertNotMuted = (membership) => {
+    if (membership.mutedUntil && membership.mutedUntil > new Date()) {
+        throw new Error(`You are muted in this group until ${membership.mutedUntil.toISOString()}`);
+    }
+};
+
+// Check if user is an active admin or moderator of the group
+export const isGroupModerator = async (userId, groupId) => {
+    const membership = await GroupMember.exists({
+        user: userId,
+        group: groupId,
+        role: { $in: ['admin', 'moderator'] },
+        isActive: true
+    });
+
+    return Boolean(membership);
+};
+
 // Validate message content
 const validateMessageContent = (content) => {
     if (!content || content.trim().length === 0) {
@@ -37,25 +78,29 @@ const validateMessageContent = (content) => {
 
 // Validate message type
 const validateMessageType = (messageType) => {
-    const validTypes = ['text', 'image', 'file', 'system'];
+    const validTypes = ['text', 'image', 'file', 'system', 'poll'];
     if (!validTypes.includes(messageType)) {
         throw new Error('Invalid message type');
     }
     return messageType;
 };
 
+// Top-level messages of a group; thread replies stay out of the main timeline
+const timelineFilter = (groupId) => ({ group: groupId, parentMessage: null });
+
 // Get messages with pagination
 const getMessagesWithPagination = async (groupId, page = 1, limit = 50) => {
     const skip = (page - 1) * limit;
     
     const [messages, totalCount] = await Promise.all([
-        Message.find({ group: groupId })
+        Message.find(timelineFilter(groupId))
+            .select('+poll.votes')
             .populate('sender', 'name email')
             .sort({ createdAt: -1 }) // Newest first for pagination
             .skip(skip)
             .limit(limit)
             .lean(),
-        Message.countDocuments({ group: groupId })
+        Message.countDocuments(timelineFilter(groupId))
     ]);
 
     // Reverse for chronological order (oldest first for display)
@@ -73,174 +118,2007 @@ const getMessagesWithPagination = async (groupId, page = 1, limit = 50) => {
     };
 };
 
-// Mark message as read for user
-const markMessageAsRead = async (messageId, userId) => {
-    await Message.findByIdAndUpdate(
-        messageId,
+// Resolve a cursor (message id or timestamp) to a position in the group's timeline
+const resolveCursor = async (groupId, cursor) => {
+    if (/^[a-f\d]{24}$/i.test(cursor)) {
+        const message = await Message.findOne({ _id: cursor, group: groupId })
+            .select('createdAt')
+            .lean();
+
+        if (!message) {
+            throw new Error('Cursor message not found in this group');
+        }
+
+        return { createdAt: message.createdAt, _id: message._id };
+    }
+
+    const createdAt = new Date(cursor);
+    if (Number.isNaN(createdAt.getTime())) {
+        throw new Error('Invalid cursor. Use a message ID or an ISO 8601 timestamp');
+    }
+
+    return { createdAt };
+};
+
+// Build a filter for messages strictly older or newer than a cursor position
+const buildCursorFilter = (groupId, position, direction) => {
+    const op = direction === 'before' ? '$lt' : '$gt';
+
+    if (!position._id) {
+        return { ...timelineFilter(groupId), createdAt: { [op]: position.createdAt } };
+    }
+
+    // Tie-break on _id so messages sharing a timestamp are neither skipped nor repeated
+    return {
+        ...timelineFilter(groupId),
+        $or: [
+            { createdAt: { [op]: position.createdAt } },
+            { createdAt: position.createdAt, _id: { [op]: position._id } }
+        ]
+    };
+};
+
+// Fetch up to `limit` messages on one side of a cursor, walking the { group, createdAt } index
+const fetchMessagesFromCursor = async (groupId, position, direction, limit) => {
+    const sortOrder = direction === 'before' ? -1 : 1;
+
+    const messages = await Message.find(buildCursorFilter(groupId, position, direction))
+        .select('+poll.votes')
+        .populate('sender', 'name email')
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .limit(limit + 1)
+        .lean();
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+
+    // Always hand back chronological order (oldest first for display)
+    return {
+        messages: direction === 'before' ? page.reverse() : page,
+        hasMore
+    };
+};
+
+// Get messages with cursor pagination (before/after a cursor, or a window around a message)
+// nextCursor pages towards older messages (pass as `before`), prevCursor towards newer ones (pass as `after`).
+// prevCursor is set whenever the page has messages, since newer ones can arrive at any time.
+const getMessagesWithCursor = async (groupId, { before, after, around, limit = 50 }) => {
+    let messages;
+    let hasOlder;
+    let hasNewer;
+
+    if (around) {
+        let anchor = await Message.findOne({ _id: around, group: groupId })
+            .select('+poll.votes')
+            .populate('sender', 'name email')
+            .lean();
+
+        if (!anchor) {
+            throw new Error('Message not found in this group');
+        }
+
+        // Jumping to a reply centres the timeline on its thread's parent
+        if (anchor.parentMessage) {
+            anchor = await Message.findById(anchor.parentMessage)
+                .select('+poll.votes')
+                .populate('sender', 'name email')
+                .lean();
+
+            if (!anchor) {
+                throw new Error('Message not found in this group');
+            }
+        }
+
+        const olderLimit = Math.floor((limit - 1) / 2);
+        const newerLimit = limit - 1 - olderLimit;
+        const position = { createdAt: anchor.createdAt, _id: anchor._id };
+
+        const [older, newer] = await Promise.all([
+            fetchMessagesFromCursor(groupId, position, 'before', olderLimit),
+            fetchMessagesFromCursor(groupId, position, 'after', newerLimit)
+        ]);
+
+        messages = [...older.messages, anchor, ...newer.messages];
+        hasOlder = older.hasMore;
+        hasNewer = newer.hasMore;
+    } else if (after) {
+        const position = await resolveCursor(groupId, after);
+        const newer = await fetchMessagesFromCursor(groupId, position, 'after', limit);
+
+        messages = newer.messages;
+        hasNewer = newer.hasMore;
+        // A message cursor is itself older than the page
+        hasOlder = Boolean(position._id) ||
+            Boolean(await Message.exists(buildCursorFilter(groupId, position, 'before')));
+    } else {
+        // No cursor means the latest page
+        const position = before
+            ? await resolveCursor(groupId, before)
+            : { createdAt: new Date(8.64e15) };
+        const older = await fetchMessagesFromCursor(groupId, position, 'before', limit);
+
+        messages = older.messages;
+        hasOlder = older.hasMore;
+        hasNewer = before
+            ? Boolean(position._id) ||
+                Boolean(await Message.exists(buildCursorFilter(groupId, position, 'after')))
+            : false;
+    }
+
+    const oldest = messages[0];
+    const newest = messages[messages.length - 1];
+
+    return {
+        messages,
+        pagination: {
+            mode: 'cursor',
+            limit,
+            hasOlder,
+            hasNewer,
+            nextCursor: hasOlder && oldest ? oldest._id : null,
+            prevCursor: newest ? newest._id : null
+        }
+    };
+};
+
+// Validate that a reply targets a top-level message in the same group
+const validateParentMessage = async (parentMessageId, groupId) => {
+    const parent = await Message.findById(parentMessageId).select('group parentMessage isDeleted').lean();
+
+    if (!parent || parent.isDeleted) {
+        throw new Error('Parent message not found');
+    }
+
+    if (parent.group.toString() !== groupId.toString()) {
+        throw new Error('Parent message belongs to a different group');
+    }
+
+    if (parent.parentMessage) {
+        throw new Error('Cannot reply to a reply, reply to the thread parent instead');
+    }
+
+    return parent;
+};
+
+// Snapshot an earlier message in the same group for a quote-reply
+const buildQuotedMessage = async (quotedMessageId, groupId) => {
+    const quoted = await Message.findById(quotedMessageId)
+        .select('group sender content createdAt isDeleted')
+        .lean();
+
+    if (!quoted || quoted.isDeleted) {
+        throw new Error('Quoted message not found');
+    }
+
+    if (quoted.group.toString() !== groupId.toString()) {
+        throw new Error('Quoted message belongs to a different group');
+    }
+
+    const snippet = quoted.content.length > QUOTE_SNIPPET_LENGTH
+        ? `${quoted.content.slice(0, QUOTE_SNIPPET_LENGTH).trimEnd()}…`
+        : quoted.content;
+
+    return {
+        message: quoted._id,
+        sender: quoted.sender,
+        snippet,
+        createdAt: quoted.createdAt
+    };
+};
+
+// Full-text search over the given groups, newest-best matches first
+const searchMessagesInGroups = async (groupIds, { q, sender, from, to, messageType, page = 1, limit = 20 }) => {
+    const filter = {
+        $text: { $search: q },
+        group: { $in: groupIds },
+        isDeleted: { $ne: true },
+        ...(sender && { sender }),
+        ...(messageType && { messageType }),
+        ...((from || to) && {
+            createdAt: {
+                ...(from && { $gte: new Date(from) }),
+                ...(to && { $lte: new Date(to) })
+            }
+        })
+    };
+
+    const skip = (page - 1) * limit;
+
+    const [messages, totalCount] = await Promise.all([
+        Message.find(filter, { score: { $meta: 'textScore' } })
+            .select('content sender group messageType parentMessage createdAt')
+            .populate('sender', 'name email')
+            .populate('group', 'name')
+            .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Message.countDocuments(filter)
+    ]);
+
+    const terms = extractSearchTerms(q);
+
+    const results = messages.map(({ content, score, ...message }) => ({
+        ...message,
+        score,
+        snippet: buildSnippet(content, terms)
+    }));
+
+    return {
+        results,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / limit),
+            totalResults: totalCount,
+            hasNext: page < Math.ceil(totalCount / limit),
+            hasPrev: page > 1
+        }
+    };
+};
+
+// Read search filters from the query string
+const parseSearchQuery = (query) => ({
+    q: query.q.trim(),
+    sender: query.sender,
+    from: query.from,
+    to: query.to,
+    messageType: query.messageType,
+    page: parseInt(query.page) || 1,
+    limit: parseInt(query.limit) || 20
+});
+
+// Check whether content contains an @token, e.g. @everyone, @jane@example.com or @Jane Doe
+const hasMentionToken = (content, token) => {
+    return new RegExp(`(^|[^\\w@.])@${escapeRegExp(token)}(?![\\w@-]|\\.\\w)`, 'i').test(content);
+};
+
+// Longest display name, in words, that an @mention is looked up by
+const MAX_MENTION_NAME_WORDS = 4;
+
+// Handles following each @ in content: whole emails, and the first few words as possible names
+const extractMentionHandles = (content) => {
+    const trimPunctuation = (handle) => handle.replace(/[.,!?;:)]+$/, '');
+
+    const emails = [...content.matchAll(/(?<![\w@.])@([^\s@]+@[^\s@]+)/g)]
+        .map(([, email]) => trimPunctuation(email).toLowerCase());
+
+    const names = [...content.matchAll(/(?<![\w@.])@([^\s@][^@\n]*)/g)]
+        .flatMap(([, text]) => {
+            const words = text.trim().split(/\s+/).slice(0, MAX_MENTION_NAME_WORDS);
+            return words.map((word, index) => trimPunctuation(words.slice(0, index + 1).join(' ')));
+        })
+        .filter(name => name.length >= 2 && name.length <= 50);
+
+    return { emails: [...new Set(emails)], names: [...new Set(names)] };
+};
+
+// Ids of the group's active members, other than the sender, seen within the online window
+const getActiveMemberIds = async (groupId, senderId) => {
+    const members = await GroupMember.aggregate([
         {
-            $addToSet: {
-                readBy: {
-                    user: userId,
-                    readAt: new Date()
-                }
+            $match: {
+                group: new mongoose.Types.ObjectId(groupId.toString()),
+                user: { $ne: new mongoose.Types.ObjectId(senderId.toString()) },
+                isActive: true
             }
         },
-        { new: true }
+        {
+            $lookup: {
+                from: User.collection.name,
+                localField: 'user',
+                foreignField: '_id',
+                pipeline: [
+                    { $match: { lastActive: { $gte: getActiveSince() } } },
+                    { $project: { _id: 1 } }
+                ],
+                as: 'activeUser'
+            }
+        },
+        { $match: { activeUser: { $ne: [] } } },
+        { $project: { _id: 0, user: 1 } }
+    ]);
+
+    return members.map(({ user }) => user);
+};
+
+// Resolve @mentions in content to the ids of active group members (never the sender).
+// Only the handles written in the message are looked up; @everyone and @here go by membership.
+const resolveMentions = async (content, groupId, senderId, senderRole) => {
+    if (!content.includes('@')) {
+        return [];
+    }
+
+    const mentionsEveryone = hasMentionToken(content, 'everyone');
+    const mentionsHere = hasMentionToken(content, 'here');
+
+    if (mentionsEveryone && !['admin', 'moderator'].includes(senderRole)) {
+        throw new Error('Only group admins and moderators can mention @everyone');
+    }
+
+    if (mentionsEveryone) {
+        const members = await GroupMember.find({ group: groupId, isActive: true, user: { $ne: senderId } })
+            .select('user')
+            .lean();
+        return members.map(({ user }) => user);
+    }
+
+    const { emails, names } = extractMentionHandles(content);
+
+    const candidates = emails.length > 0 || names.length > 0
+        ? await User.find({
+            $or: [
+                { email: { $in: emails } },
+                { name: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')) } }
+            ]
+        })
+            .select('name email')
+            .lean()
+        : [];
+
+    const mentionedUserIds = candidates
+        .filter(user => user._id.toString() !== senderId.toString())
+        .filter(user => hasMentionToken(content, user.email) || hasMentionToken(content, user.name))
+        .map(user => user._id);
+
+    const [mentionedMembers, activeMemberIds] = await Promise.all([
+        mentionedUserIds.length > 0
+            ? GroupMember.find({ group: groupId, isActive: true, user: { $in: mentionedUserIds } }).select('user').lean()
+            : [],
+        mentionsHere ? getActiveMemberIds(groupId, senderId) : []
+    ]);
+
+    const mentionedIds = new Map(
+        [...mentionedMembers.map(({ user }) => user), ...activeMemberIds].map(id => [id.toString(), id])
+    );
+
+    return [...mentionedIds.values()];
+};
+
+// Move the user's read cursor forward to a message; never moves it backwards
+const advanceReadCursor = async (userId, groupId, message) => {
+    await GroupMember.updateOne(
+        {
+            user: userId,
+            group: groupId,
+            $or: [
+                { lastReadMessageAt: null },
+                { lastReadMessageAt: { $lt: message.createdAt } },
+                { lastReadMessageAt: message.createdAt, lastReadMessage: { $lt: message._id } }
+            ]
+        },
+        {
+            lastReadMessage: message._id,
+            lastReadMessageAt: message.createdAt,
+            lastReadAt: new Date()
+        }
     );
 };
 
+// Filter for messages in a group that a member has not read yet; like the timeline,
+// thread replies and deleted tombstones don't count
+const unreadFilter = (membership) => ({
+    group: membership.group,
+    parentMessage: null,
+    isDeleted: { $ne: true },
+    sender: { $ne: membership.user }, // Don't count user's own messages
+    ...(membership.lastReadMessageAt && { createdAt: { $gt: membership.lastReadMessageAt } })
+});
+
 /**
- * Send a message to group
+ * Delete messages for good, along with the stored files behind their attachments
  */
-export const sendMessage = async (req, res) => {
-    try {
-        const { groupId } = req.params;
-        const { content, messageType = 'text' } = req.body;
-        const userId = req.user._id;
+export const deleteMessagesWithFiles = async (filter) => {
+    const withFiles = await Message.find({
+        ...filter,
+        $or: [{ attachment: { $ne: null } }, { deletedAttachment: { $ne: null } }]
+    })
+        .select('attachment.storageDriver attachment.storageKey +deletedAttachment')
+        .lean();
 
-        console.log('💬 Sending message to group:', groupId);
+    const result = await Message.deleteMany(filter);
 
-        // Validate inputs
-        const validatedContent = validateMessageContent(content);
-        const validatedMessageType = validateMessageType(messageType);
-        
-        // Check group membership
-        await validateGroupMembership(userId, groupId);
+    // The messages are gone either way, so a storage hiccup only leaves files behind
+    await removeStoredFiles(withFiles.flatMap(message => [message.attachment, message.deletedAttachment]))
+        .catch(error => console.error('❌ Stored file cleanup error:', error));
 
-        // Verify group exists and is accessible
-        const group = await Group.findById(groupId);
-        if (!group) {
-            return res.status(404).json({
-                success: false,
-                message: 'Group not found'
+    return result;
+};
+
+/**
+ * Unread and unread-mention counts for a membership past its read cursor
+ */
+export const countUnread = async (membership) => {
+    const [unreadCount, mentionCount] = await Promise.all([
+        Message.countDocuments(unreadFilter(membership)),
+        Message.countDocuments({ ...unreadFilter(membership), mentions: membership.user })
+    ]);
+
+    return { unreadCount, mentionCount };
+};
+
+// Split active members (excluding the sender) into who has and hasn't read a message,
+// based on their read cursors. Members who hide their read receipts are only counted.
+const getReadReceipts = async (message) => {
+    const members = await GroupMember.find({
+        group: message.group,
+        isActive: true,
+        user: { $ne: message.sender?._id || message.sender }
+    })
+        .select('user lastReadMessageAt lastReadAt')
+        .populate('user', 'name email privacy')
+        .lean();
+
+    const receipts = { read: [], unread: [], hiddenCount: 0 };
+
+    members.forEach((member) => {
+        if (!member.user) return; // Member's user account has since been deleted
+
+        const { privacy, ...user } = member.user;
+
+        if (privacy?.hideReadReceipts) {
+            receipts.hiddenCount += 1;
+            return;
+        }
+
+        if (member.lastReadMessageAt && member.lastReadMessageAt >= message.createdAt) {
+            // Cursors keep only the latest read time, so this is when the member last caught up
+            receipts.read.push({ user, readAt: member.lastReadAt });
+        } else {
+            receipts.unread.push({ user });
+        }
+    });
+
+    receipts.read.sort((a, b) => a.readAt - b.readAt);
+
+    return receipts;
+};
+
+/**
+ * Replace a message with a tombstone and broadcast the deletion. The original
+ * content and attachment are kept aside for group admins until the purge job runs.
+ * `message` must be loaded with its attachment storage fields.
+ */
+export const softDeleteMessage = async (message, userId, deletedByRole) => {
+    const tombstone = await Message.findByIdAndUpdate(
+        message._id,
+        {
+            content: tombstoneContent(deletedByRole),
+            deletedContent: message.content,
+            ...(message.attachment && {
+                deletedAttachment: message.attachment.toObject(),
+                $unset: { attachment: 1 }
+            }),
+            isDeleted: true,
+            deletedAt: new Date(),
+            deletedBy: userId,
+            deletedByRole,
+            reactions: [],
+            pinnedAt: null,
+            pinnedBy: null
+        },
+        { new: true }
+    ).populate('sender', 'name email').lean();
+
+    emitGroupEvent('message.deleted', message.group, tombstone);
+
+    return tombstone;
+};
+
+/**
+ * Run the group's auto-moderation rules over every text a message shows before it is saved.
+ * Rejections are logged and thrown; otherwise returns the rule result and the texts with masks applied.
+ */
+const runAutoModeration = async ({ userId, groupId, texts, event, message = null }) => {
+    const content = texts.join('\n');
+    const moderation = await moderateContent({ groupId, userId, content, excludeMessageId: message?._id });
+
+    if (moderation.action === 'reject') {
+        await logAutoModerationHits(moderation, { groupId, userId, event, content, message: message?._id || null });
+
+        const { rule } = moderation.hits.find(({ rule }) => rule.action === 'reject');
+        throw new Error(`Message blocked by auto-moderation rule "${rule.name}"`);
+    }
+
+    // Masks keep the length of what they cover, so each text can be cut back out of the joined content
+    let offset = 0;
+    const maskedTexts = texts.map((text) => {
+        const masked = moderation.content.slice(offset, offset + text.length);
+        offset += text.length + 1;
+        return masked;
+    });
+
+    return { moderation, texts: maskedTexts };
+};
+
+// Keep a send or edit back for moderator review and log the rule hits that caused it
+const holdForReview = async (moderation, { userId, groupId, event, loggedContent, message = null, ...fields }) => {
+    const heldMessage = await HeldMessage.create({
+        group: groupId,
+        sender: userId,
+        event,
+        message: message?._id || null,
+        rules: moderation.hits
+            .filter(({ rule }) => rule.action === 'review')
+            .map(({ rule }) => ({ rule: rule._id, name: rule.name })),
+        ...fields
+    });
+
+    await logAutoModerationHits(moderation, {
+        groupId,
+        userId,
+        event,
+        content: loggedContent,
+        message: message?._id || null,
+        heldMessage: heldMessage._id
+    });
+
+    return heldMessage;
+};
+
+/**
+ * Replace a message's content, keeping the previous revision and re-resolving mentions.
+ * Shared by editMessage and approval of held edits.
+ */
+export const applyMessageEdit = async (message, content) => {
+    const senderMembership = await GroupMember.findOne({ user: message.sender, group: message.group }).lean();
+    const mentions = await resolveMentions(content, message.group, message.sender, senderMembership?.role);
+
+    const now = new Date();
+
+    // Update message, keeping the previous revision
+    const updatedMessage = await Message.findByIdAndUpdate(
+        message._id,
+        { 
+            content,
+            mentions,
+            isEdited: true,
+            editedAt: now,
+            updatedAt: now,
+            $push: {
+                editHistory: {
+                    content: message.content,
+                    revisedAt: message.editedAt || message.createdAt,
+                    replacedAt: now
+                }
+            }
+        },
+        { new: true, runValidators: true }
+    ).populate('sender', 'name email');
+
+    console.log('✅ Message edited:', message._id);
+
+    emitGroupEvent('message.edited', updatedMessage.group, updatedMessage.toObject());
+
+    return updatedMessage;
+};
+
+/**
+ * Publish a message to a group: membership check, content validation, auto-moderation,
+ * mentions, thread stats, read-marking for the sender and the live event.
+ * Every path that posts content goes through here. Resolves to { message } once published,
+ * or { heldMessage } when auto-moderation keeps it back for review.
+ * A caller-chosen messageId becomes the _id of either, so retries can check for an earlier attempt.
+ */
+export const publishMessage = async ({
+    messageId = null,
+    userId,
+    groupId,
+    content,
+    messageType = 'text',
+    parentMessage = null,
+    quotedMessage = null,
+    poll = null,
+    attachment = null,
+    forwardedFrom = null,
+    skipAutoModeration = false
+}) => {
+    // Validate inputs
+    const validatedContent = validateMessageContent(content);
+    const validatedMessageType = validateMessageType(messageType);
+
+    if ((validatedMessageType === 'poll') !== Boolean(poll)) {
+        throw new Error('Invalid message type: polls must be created with the poll endpoint');
+    }
+    
+    // Check group membership; rules only run for members, so outsiders cannot probe them
+    const membership = await validateGroupMembership(userId, groupId);
+    assertNotMuted(membership);
+
+    // Verify group exists and is accessible
+    const group = await Group.findById(groupId);
+    if (!group) {
+        throw new Error('Group not found');
+    }
+
+    // Replies must target a top-level message in this group
+    if (parentMessage) {
+        await validateParentMessage(parentMessage, groupId);
+    }
+
+    const quote = quotedMessage ? await buildQuotedMessage(quotedMessage, groupId) : undefined;
+
+    // Auto-moderation sees everything the message shows: its content and any poll options
+    const texts = [validatedContent, ...(poll ? poll.options.map(option => option.text) : [])];
+    let publishedContent = validatedContent;
+    let publishedPoll = poll;
+    let moderation = null;
+
+    if (!skipAutoModeration) {
+        const result = await runAutoModeration({ userId, groupId, texts, event: 'send' });
+        const [maskedContent, ...maskedOptions] = result.texts;
+
+        moderation = result.moderation;
+        publishedContent = maskedContent;
+        if (poll) {
+            publishedPoll = {
+                ...poll,
+                question: maskedContent,
+                options: poll.options.map((option, index) => ({ ...option, text: maskedOptions[index] }))
+            };
+        }
+
+        if (moderation.action === 'review') {
+            const heldMessage = await holdForReview(moderation, {
+                userId,
+                groupId,
+                event: 'send',
+                loggedContent: texts.join('\n'),
+                content: publishedContent,
+                messageType: validatedMessageType,
+                parentMessage,
+                quotedMessage,
+                poll: publishedPoll,
+                attachment,
+                forwardedFrom,
+                ...(messageId && { _id: messageId })
             });
+
+            return { heldMessage };
         }
+    }
 
-        // Create and save the message
-        const message = await Message.create({
-            content: validatedContent,
-            sender: userId,
-            group: groupId,
-            messageType: validatedMessageType
+    // Forwarded copies don't notify anyone in the new group
+    const mentions = forwardedFrom
+        ? []
+        : await resolveMentions(publishedContent, groupId, userId, membership.role);
+
+    // Create and save the message
+    const message = await Message.create({
+        ...(messageId && { _id: messageId }),
+        content: publishedContent,
+        sender: userId,
+        group: groupId,
+        messageType: validatedMessageType,
+        parentMessage: parentMessage || null,
+        quotedMessage: quote,
+        poll: publishedPoll || undefined,
+        attachment: attachment || undefined,
+        forwardedFrom: forwardedFrom || undefined,
+        mentions
+    });
+
+    console.log('✅ Message created:', message._id);
+
+    if (moderation) {
+        await logAutoModerationHits(moderation, {
+            groupId,
+            userId,
+            event: 'send',
+            content: texts.join('\n'),
+            message: message._id
         });
+    }
 
-        console.log('✅ Message created:', message._id);
+    if (parentMessage) {
+        await Message.findByIdAndUpdate(parentMessage, {
+            $inc: { replyCount: 1 },
+            lastReplyAt: message.createdAt
+        });
+    }
 
-        // Populate the sender information
-        const populatedMessage = await Message.findById(message._id)
-            .populate('sender', 'name email')
-            .lean();
+    // Populate the sender information
+    const populatedMessage = await Message.findById(message._id)
+        .populate('sender', 'name email')
+        .populate('forwardedFrom.sender', 'name email')
+        .populate('forwardedFrom.group', 'name')
+        .lean();
 
-        // Mark message as read by sender immediately
-        await markMessageAsRead(message._id, userId);
+    // Mark message as read by sender immediately
+    await advanceReadCursor(userId, groupId, message);
 
-        res.status(201).json({
+    await stopTyping(groupId, userId, 'sent');
+
+    emitGroupEvent('message.created', groupId, populatedMessage);
+
+    return { message: populatedMessage };
+};
+
+// Answer a retried send with what the original request created, as an idempotent replay would
+const sendEarlierMessage = async (res, messageId) => {
+    const message = await Message.findById(messageId)
+        .populate('sender', 'name email')
+        .lean();
+
+    res.set('Idempotent-Replayed', 'true');
+
+    if (!message) {
+        return res.status(202).json({
             success: true,
-            message: 'Message sent successfully',
-            data: {
-                ...populatedMessage,
-                readBy: [{ user: userId, readAt: new Date() }]
-            }
+            message: 'Message held for review by a moderator',
+            data: await HeldMessage.findById(messageId).lean()
         });
+    }
 
-    } catch (error) {
-        console.error('❌ Send message error:', error);
-        
-        // Handle validation errors
-        if (error.message.includes('Message content cannot be empty') ||
-            error.message.includes('Message cannot exceed') ||
-            error.message.includes('Invalid message type')) {
-            return res.status(400).json({
+    res.status(200).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: message
+    });
+};
+
+/**
+ * Send a message to group
+ */
+export const sendMessage = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { messageType = 'text', parentMessage, quotedMessage } = req.body;
+        let { content } = req.body;
+        const userId = req.user._id;
+
+        // A leading "/" runs a slash command; "//" escapes it to send the text as-is
+        if (typeof content === 'string' && content.startsWith('//')) {
+            content = content.slice(1);
+        } else if (typeof content === 'string' && messageType === 'text' && !parentMessage) {
+            const slashCommand = parseSlashCommand(content.trim());
+
+            if (slashCommand) {
+                console.log(`⚡ Running /${slashCommand.name} in group: ${groupId}`);
+
+                const { statusCode, body } = await runSlashCommand({ ...slashCommand, user: req.user, groupId });
+
+                return res.status(statusCode).json({ ...body, command: slashCommand.name });
+            }
+        }
+
+        console.log('💬 Sending message to group:', groupId);
+
+        const messageId = req.idempotency?.reservedId;
+
+        // A retry that took over an idempotency key finds the original request's message under the same id
+        if (messageId && (await Message.exists({ _id: messageId }) || await HeldMessage.exists({ _id: messageId }))) {
+            return sendEarlierMessage(res, messageId);
+        }
+
+        const { message: messageData, heldMessage } = await publishMessage({
+            messageId,
+            userId,
+            groupId,
+            content,
+            messageType,
+            parentMessage,
+            quotedMessage
+        });
+
+        if (heldMessage) {
+            return res.status(202).json({
+                success: true,
+                message: 'Message held for review by a moderator',
+                data: heldMessage
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent successfully',
+            data: messageData
+        });
+
+    } catch (error) {
+        console.error('❌ Send message error:', error);
+
+        // Lost the race with the original request for the reserved id
+        if (error.code === 11000 && req.idempotency?.reservedId) {
+            return sendEarlierMessage(res, req.idempotency.reservedId);
+        }
+        
+        // Handle validation errors
+        if (error.message.includes('Message content cannot be empty') ||
+            error.message.includes('Message cannot exceed') ||
+            error.message.includes('Invalid message type') ||
+            error.message.includes('Parent message belongs') ||
+            error.message.includes('Quoted message belongs') ||
+            error.message.includes('Cannot reply to a reply') ||
+            error.message.includes('blocked by auto-moderation')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Parent message not found') ||
+            error.message.includes('Quoted message not found') ||
+            error.message.includes('Group not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('can mention @everyone') ||
+            error.message.includes('are muted')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Handle membership errors
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Handle database errors
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+            
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error sending message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get messages from a group with pagination
+ */
+export const getGroupMessages = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+        const { before, after, around } = req.query;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const useCursor = Boolean(before || after || around);
+
+        console.log(useCursor
+            ? `📨 Fetching messages for group: ${groupId}, cursor: ${JSON.stringify({ before, after, around })}, limit: ${limit}`
+            : `📨 Fetching messages for group: ${groupId}, page: ${page}, limit: ${limit}`);
+
+        // Validate pagination parameters
+        if (page < 1 || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid pagination parameters. Page must be >= 1, limit between 1-100'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, groupId);
+
+        // Verify group exists
+        const group = await Group.findById(groupId);
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        // Get messages with cursor pagination, falling back to page numbers
+        const { messages, pagination } = useCursor
+            ? await getMessagesWithCursor(groupId, { before, after, around, limit })
+            : await getMessagesWithPagination(groupId, page, limit);
+
+        console.log(`✅ Found ${messages.length} messages for group ${groupId}`);
+
+        // Advance the read cursor to the newest fetched message (a no-op when paging back)
+        if (messages.length > 0) {
+            await advanceReadCursor(userId, groupId, messages[messages.length - 1]);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                messages: withPollResults(withReactionCounts(messages, userId), userId),
+                pagination
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get messages error:', error);
+        
+        // Handle cursor errors
+        if (error.message.includes('Invalid cursor')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not found in this group')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // Handle membership errors
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get unread message count for user in a group
+ */
+export const getUnreadMessageCount = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+
+        console.log(`🔔 Getting unread count for user ${userId} in group ${groupId}`);
+
+        // Check group membership
+        const membership = await validateGroupMembership(userId, groupId);
+
+        // Range counts past the read cursor, and how many of those mention the user
+        const { unreadCount, mentionCount } = await countUnread(membership);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                unreadCount,
+                mentionCount,
+                groupId,
+                userId
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get unread count error:', error);
+        
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching unread message count',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Mark messages as read in bulk
+ */
+export const markMessagesAsRead = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { messageIds } = req.body;
+        const userId = req.user._id;
+
+        console.log(`📖 Marking ${messageIds?.length || 0} messages as read in group ${groupId}`);
+
+        if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message IDs array is required'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, groupId);
+
+        // Reading a message means reading everything before it, so only the newest one matters
+        const newestMessage = await Message.findOne({ _id: { $in: messageIds }, group: groupId })
+            .select('createdAt')
+            .sort({ createdAt: -1, _id: -1 })
+            .lean();
+
+        if (newestMessage) {
+            await advanceReadCursor(userId, groupId, newestMessage);
+        }
+
+        const membership = await GroupMember.findOne({ user: userId, group: groupId })
+            .select('lastReadMessage lastReadMessageAt lastReadAt')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: `${messageIds.length} messages marked as read`,
+            data: {
+                markedCount: messageIds.length,
+                lastReadMessage: membership.lastReadMessage,
+                lastReadMessageAt: membership.lastReadMessageAt,
+                groupId,
+                userId
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Mark messages as read error:', error);
+        
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error marking messages as read',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Delete a message (only by sender or admin)
+ */
+export const deleteMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        console.log(`🗑️ Deleting message: ${messageId}`);
+
+        const message = await Message.findById(messageId)
+            .select('+attachment.storageDriver +attachment.storageKey');
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        if (message.isDeleted) {
+            return res.status(409).json({
+                success: false,
+                message: 'Message has already been deleted'
+            });
+        }
+
+        // Check if user is the sender or group admin
+        const isSender = message.sender.toString() === userId.toString();
+        
+        if (!isSender) {
+            // Check if user is group admin
+            const adminMembership = await GroupMember.findOne({
+                user: userId,
+                group: message.group,
+                role: 'admin',
+                isActive: true
+            });
+
+            if (!adminMembership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only message sender or group admin can delete messages'
+                });
+            }
+        }
+
+        // Leave a tombstone in place so threads and conversation context survive
+        const tombstone = await softDeleteMessage(message, userId, isSender ? 'sender' : 'admin');
+
+        console.log('✅ Message deleted:', messageId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Message deleted successfully',
+            data: tombstone
+        });
+
+    } catch (error) {
+        console.error('❌ Delete message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Edit a message (only by sender)
+ */
+export const editMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { content } = req.body;
+        const userId = req.user._id;
+
+        console.log(`✏️ Editing message: ${messageId}`);
+
+        const message = await Message.findById(messageId);
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Check if user is the sender
+        if (message.sender.toString() !== userId.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only message sender can edit messages'
+            });
+        }
+
+        // Senders who left or were removed, and muted members, cannot rewrite what they already posted
+        const senderMembership = await validateGroupMembership(userId, message.group);
+        assertNotMuted(senderMembership);
+
+        if (message.isDeleted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Deleted messages cannot be edited'
+            });
+        }
+
+        if (message.messageType === 'poll') {
+            return res.status(400).json({
+                success: false,
+                message: 'Polls cannot be edited'
+            });
+        }
+
+        // Validate new content
+        const validatedContent = validateMessageContent(content);
+
+        // Refuse edits once the group's edit window has passed
+        const group = await Group.findById(message.group).select('messageEditWindowMinutes').lean();
+        const editWindowMinutes = group?.messageEditWindowMinutes;
+        if (editWindowMinutes &&
+            Date.now() - message.createdAt.getTime() > editWindowMinutes * 60 * 1000) {
+            return res.status(403).json({
+                success: false,
+                message: `Messages can only be edited within ${editWindowMinutes} minutes of sending`
+            });
+        }
+
+        if (validatedContent === message.content) {
+            return res.status(200).json({
+                success: true,
+                message: 'Message unchanged',
+                data: await message.populate('sender', 'name email')
+            });
+        }
+
+        const { moderation, texts: [moderatedContent] } = await runAutoModeration({
+            userId,
+            groupId: message.group,
+            texts: [validatedContent],
+            event: 'edit',
+            message
+        });
+
+        if (moderation.action === 'review') {
+            const heldMessage = await holdForReview(moderation, {
+                userId,
+                groupId: message.group,
+                event: 'edit',
+                loggedContent: validatedContent,
+                message,
+                content: moderatedContent
+            });
+
+            return res.status(202).json({
+                success: true,
+                message: 'Edit held for review by a moderator',
+                data: heldMessage
+            });
+        }
+
+        const updatedMessage = await applyMessageEdit(message, moderatedContent);
+
+        await logAutoModerationHits(moderation, {
+            groupId: message.group,
+            userId,
+            event: 'edit',
+            content: validatedContent,
+            message: message._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Message updated successfully',
+            data: updatedMessage
+        });
+
+    } catch (error) {
+        console.error('❌ Edit message error:', error);
+        
+        if (error.message.includes('Message content cannot be empty') ||
+            error.message.includes('Message cannot exceed') ||
+            error.message.includes('blocked by auto-moderation')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('can mention @everyone') ||
+            error.message.includes('are muted') ||
+            error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error editing message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Stream live message events for the user's groups (Server-Sent Events)
+ */
+export const streamMessages = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const requestedGroups = req.query.groups
+            ? req.query.groups.split(',').filter(Boolean)
+            : null;
+
+        console.log(`📡 Opening message stream for user ${userId}`);
+
+        // Only groups the user is an active member of can be subscribed to
+        let groupIds;
+        if (requestedGroups) {
+            await Promise.all(requestedGroups.map(groupId =>
+                validateGroupMembership(userId, groupId)
+            ));
+            groupIds = [...new Set(requestedGroups)];
+        } else {
+            const memberships = await GroupMember.find({ user: userId, isActive: true })
+                .select('group')
+                .lean();
+            groupIds = memberships.map(membership => membership.group.toString());
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const writeEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const unsubscribers = new Map();
+
+        const handleGroupEvent = (event) => {
+            // Drop the subscription as soon as the user is removed from the group
+            if (event.type === 'member.removed') {
+                if (event.data.userId.toString() === userId.toString()) {
+                    unsubscribers.get(event.groupId)?.();
+                    unsubscribers.delete(event.groupId);
+                    writeEvent('group.left', { groupId: event.groupId });
+                }
+                return;
+            }
+
+            writeEvent(event.type, event);
+        };
+
+        groupIds.forEach(groupId => {
+            unsubscribers.set(groupId, subscribeToGroup(groupId, handleGroupEvent));
+        });
+
+        writeEvent('ready', { groups: groupIds });
+
+        // Keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers.clear();
+            console.log(`📡 Message stream closed for user ${userId}`);
+        });
+
+    } catch (error) {
+        console.error('❌ Stream messages error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error opening message stream',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get replies in a message thread with pagination
+ */
+export const getThreadReplies = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+
+        console.log(`🧵 Fetching thread for message: ${messageId}, page: ${page}, limit: ${limit}`);
+
+        const parent = await Message.findById(messageId)
+            .populate('sender', 'name email')
+            .lean();
+
+        // Outside the group a thread looks the same as a missing one, so message ids can't be probed
+        const isMember = parent && await GroupMember.exists({ user: userId, group: parent.group, isActive: true });
+
+        if (!parent || !isMember) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        if (parent.parentMessage) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message is a reply, fetch the thread of its parent instead',
+                data: {
+                    parentMessage: parent.parentMessage
+                }
+            });
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [replies, totalReplies] = await Promise.all([
+            Message.find({ parentMessage: messageId })
+                .populate('sender', 'name email')
+                .sort({ createdAt: 1 }) // Oldest first, threads read top to bottom
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Message.countDocuments({ parentMessage: messageId })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                parent: withReactionCounts([parent], userId)[0],
+                replies: withReactionCounts(replies, userId),
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalReplies / limit),
+                    totalReplies,
+                    hasNext: page < Math.ceil(totalReplies / limit),
+                    hasPrev: page > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get thread replies error:', error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching thread replies',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Add a reaction to a message (active group members only)
+ */
+export const addReaction = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { emoji } = req.body;
+        const userId = req.user._id;
+
+        console.log(`😀 Adding reaction ${emoji} to message: ${messageId}`);
+
+        const message = await Message.findById(messageId).select('group isDeleted').lean();
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        if (message.isDeleted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot react to a deleted message'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, message.group);
+
+        // Only push if this user has not already reacted with this emoji
+        const updatedMessage = await Message.findOneAndUpdate(
+            {
+                _id: messageId,
+                reactions: { $not: { $elemMatch: { user: userId, emoji } } }
+            },
+            {
+                $push: {
+                    reactions: {
+                        emoji,
+                        user: userId,
+                        reactedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        ).select('group reactions').lean();
+
+        if (!updatedMessage) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reacted with this emoji'
+            });
+        }
+
+        emitGroupEvent('reaction.added', message.group, {
+            messageId: message._id,
+            emoji,
+            user: userId,
+            reactionCounts: summarizeReactions(updatedMessage.reactions)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Reaction added successfully',
+            data: {
+                messageId: message._id,
+                reactionCounts: summarizeReactions(updatedMessage.reactions, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Add reaction error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error adding reaction',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Remove the current user's reaction from a message
+ */
+export const removeReaction = async (req, res) => {
+    try {
+        const { messageId, emoji } = req.params;
+        const userId = req.user._id;
+
+        console.log(`🙅 Removing reaction ${emoji} from message: ${messageId}`);
+
+        const message = await Message.findById(messageId).select('group').lean();
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, message.group);
+
+        const updatedMessage = await Message.findOneAndUpdate(
+            {
+                _id: messageId,
+                reactions: { $elemMatch: { user: userId, emoji } }
+            },
+            { $pull: { reactions: { user: userId, emoji } } },
+            { new: true }
+        ).select('group reactions').lean();
+
+        if (!updatedMessage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reaction not found'
+            });
+        }
+
+        emitGroupEvent('reaction.removed', message.group, {
+            messageId: message._id,
+            emoji,
+            user: userId,
+            reactionCounts: summarizeReactions(updatedMessage.reactions)
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Reaction removed successfully',
+            data: {
+                messageId: message._id,
+                reactionCounts: summarizeReactions(updatedMessage.reactions, userId)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Remove reaction error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error removing reaction',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * List who reacted to a message, grouped by emoji
+ */
+export const getReactions = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('group reactions')
+            .populate('reactions.user', 'name email')
+            .lean();
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, message.group);
+
+        const reactionsByEmoji = new Map();
+        message.reactions.forEach(({ emoji, user, reactedAt }) => {
+            if (!user) return; // Reacting user has since been deleted
+
+            const entry = reactionsByEmoji.get(emoji) || { emoji, count: 0, users: [] };
+            entry.count += 1;
+            entry.users.push({ ...user, reactedAt });
+            reactionsByEmoji.set(emoji, entry);
+        });
+
+        const reactions = [...reactionsByEmoji.values()].sort((a, b) => b.count - a.count);
+
+        res.status(200).json({
+            success: true,
+            count: reactions.length,
+            data: reactions
+        });
+
+    } catch (error) {
+        console.error('❌ Get reactions error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reactions',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get read receipts for a message: who has and hasn't read it (Message sender or group admins)
+ */
+export const getReceipts = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('group sender createdAt')
+            .lean();
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Check group membership
+        const membership = await validateGroupMembership(userId, message.group);
+
+        const isSender = message.sender.toString() === userId.toString();
+        if (!isSender && membership.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the sender or a group admin can view read receipts'
+            });
+        }
+
+        const { read, unread, hiddenCount } = await getReadReceipts(message);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                messageId: message._id,
+                read,
+                unread,
+                counts: {
+                    read: read.length,
+                    unread: unread.length,
+                    hidden: hiddenCount
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get receipts error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching read receipts',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get members who have seen a message, derived from read cursors (Group members only)
+ */
+export const getSeenBy = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('group sender createdAt')
+            .lean();
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Check group membership
+        await validateGroupMembership(userId, message.group);
+
+        const { read: seenBy } = await getReadReceipts(message);
+
+        res.status(200).json({
+            success: true,
+            count: seenBy.length,
+            data: seenBy
+        });
+
+    } catch (error) {
+        console.error('❌ Get seen-by error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching seen-by list',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get the edit history of a message (sender or group admin/moderator)
+ */
+export const getMessageHistory = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('+editHistory')
+            .populate('sender', 'name email')
+            .lean();
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        // Once deleted, earlier revisions are as private as the deleted content: group admins only
+        if (message.isDeleted) {
+            const adminMembership = await GroupMember.findOne({
+                user: userId,
+                group: message.group,
+                role: 'admin',
+                isActive: true
+            });
+
+            if (!adminMembership) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only group admin can view the history of deleted messages'
+                });
+            }
+        } else {
+            const isSender = message.sender?._id.toString() === userId.toString();
+
+            if (!isSender && !(await isGroupModerator(userId, message.group))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only message sender or group admins and moderators can view edit history'
+                });
+            }
+        }
+
+        const revisions = [
+            ...(message.editHistory || []).map(revision => ({
+                content: revision.content,
+                revisedAt: revision.revisedAt,
+                replacedAt: revision.replacedAt,
+                isCurrent: false
+            })),
+            {
+                content: message.content,
+                revisedAt: message.editedAt || message.createdAt,
+                replacedAt: null,
+                isCurrent: true
+            }
+        ];
+
+        res.status(200).json({
+            success: true,
+            data: {
+                messageId: message._id,
+                sender: message.sender,
+                group: message.group,
+                createdAt: message.createdAt,
+                isEdited: Boolean(message.isEdited),
+                editedAt: message.editedAt || null,
+                revisionCount: revisions.length,
+                revisions
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get message history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching message history',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get the original content of a deleted message (group admin only)
+ */
+export const getDeletedMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('+deletedContent')
+            .populate('sender', 'name email')
+            .populate('deletedBy', 'name email')
+            .lean();
+
+        if (!message || !message.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deleted message not found'
+            });
+        }
+
+        const adminMembership = await GroupMember.findOne({
+            user: userId,
+            group: message.group,
+            role: 'admin',
+            isActive: true
+        });
+
+        if (!adminMembership) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admin can view deleted messages'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...message,
+                originalContent: message.deletedContent ?? null,
+                deletedContent: undefined,
+                canRestore: message.deletedContent !== undefined && message.deletedAt > getRetentionCutoff(),
+                purgeAt: getPurgeDate(message.deletedAt)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get deleted message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching deleted message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Restore a deleted message within the retention period (group admin only)
+ */
+export const restoreMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        console.log(`♻️ Restoring message: ${messageId}`);
+
+        const message = await Message.findById(messageId).select('+deletedContent +deletedAttachment');
+        if (!message || !message.isDeleted) {
+            return res.status(404).json({
                 success: false,
-                message: error.message
+                message: 'Deleted message not found'
             });
         }
 
-        // Handle membership errors
-        if (error.message.includes('not a member')) {
+        const adminMembership = await GroupMember.findOne({
+            user: userId,
+            group: message.group,
+            role: 'admin',
+            isActive: true
+        });
+
+        if (!adminMembership) {
             return res.status(403).json({
                 success: false,
-                message: error.message
+                message: 'Only group admin can restore messages'
             });
         }
 
-        // Handle database errors
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => ({
-                field: err.path,
-                message: err.message
-            }));
-            
-            return res.status(400).json({
+        if (message.deletedContent === undefined || message.deletedAt <= getRetentionCutoff()) {
+            return res.status(410).json({
                 success: false,
-                message: 'Validation failed',
-                errors
+                message: `Deleted messages can only be restored within ${DELETED_MESSAGE_RETENTION_DAYS} days`
             });
         }
 
+        const restoredMessage = await Message.findByIdAndUpdate(
+            messageId,
+            {
+                content: message.deletedContent,
+                isDeleted: false,
+                deletedAt: null,
+                deletedBy: null,
+                deletedByRole: null,
+                ...(message.deletedAttachment && { attachment: message.deletedAttachment }),
+                $unset: { deletedContent: 1, deletedAttachment: 1 }
+            },
+            { new: true }
+        ).populate('sender', 'name email').lean();
+
+        console.log('✅ Message restored:', messageId);
+
+        emitGroupEvent('message.restored', message.group, restoredMessage);
+
+        res.status(200).json({
+            success: true,
+            message: 'Message restored successfully',
+            data: restoredMessage
+        });
+
+    } catch (error) {
+        console.error('❌ Restore message error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error sending message',
+            message: 'Error restoring message',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
 };
 
 /**
- * Get messages from a group with pagination
+ * Search messages within a single group
  */
-export const getGroupMessages = async (req, res) => {
+export const searchGroupMessages = async (req, res) => {
     try {
         const { groupId } = req.params;
         const userId = req.user._id;
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 50;
-
-        console.log(`📨 Fetching messages for group: ${groupId}, page: ${page}, limit: ${limit}`);
+        const searchQuery = parseSearchQuery(req.query);
 
-        // Validate pagination parameters
-        if (page < 1 || limit < 1 || limit > 100) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid pagination parameters. Page must be >= 1, limit between 1-100'
-            });
-        }
+        console.log(`🔍 Searching group ${groupId} for: ${searchQuery.q}`);
 
         // Check group membership
         await validateGroupMembership(userId, groupId);
 
-        // Verify group exists
-        const group = await Group.findById(groupId);
-        if (!group) {
-            return res.status(404).json({
-                success: false,
-                message: 'Group not found'
-            });
-        }
-
-        // Get messages with pagination
-        const { messages, pagination } = await getMessagesWithPagination(groupId, page, limit);
-
-        console.log(`✅ Found ${messages.length} messages for group ${groupId}`);
-
-        // Mark all fetched messages as read by current user
-        const markReadPromises = messages.map(message => 
-            markMessageAsRead(message._id, userId)
-        );
-        await Promise.all(markReadPromises);
+        const { results, pagination } = await searchMessagesInGroups([groupId], searchQuery);
 
         res.status(200).json({
             success: true,
             data: {
-                messages,
+                query: searchQuery.q,
+                results,
                 pagination
             }
         });
 
     } catch (error) {
-        console.error('❌ Get messages error:', error);
-        
-        // Handle membership errors
+        console.error('❌ Search group messages error:', error);
+
         if (error.message.includes('not a member')) {
             return res.status(403).json({
                 success: false,
@@ -250,101 +2128,218 @@ export const getGroupMessages = async (req, res) => {
 
         res.status(500).json({
             success: false,
-            message: 'Error fetching messages',
+            message: 'Error searching messages',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
 };
 
 /**
- * Get unread message count for user in a group
+ * Search messages across every group the user is an active member of
  */
-export const getUnreadMessageCount = async (req, res) => {
+export const searchAllMessages = async (req, res) => {
     try {
-        const { groupId } = req.params;
         const userId = req.user._id;
+        const searchQuery = parseSearchQuery(req.query);
 
-        console.log(`🔔 Getting unread count for user ${userId} in group ${groupId}`);
+        console.log(`🔍 Searching all groups of user ${userId} for: ${searchQuery.q}`);
 
-        // Check group membership
-        await validateGroupMembership(userId, groupId);
+        const memberships = await GroupMember.find({ user: userId, isActive: true })
+            .select('group')
+            .lean();
+        const groupIds = memberships.map(membership => membership.group);
 
-        // Count messages not read by current user
-        const unreadCount = await Message.countDocuments({
-            group: groupId,
-            'readBy.user': { $ne: userId },
-            sender: { $ne: userId } // Don't count user's own messages
+        const { results, pagination } = await searchMessagesInGroups(groupIds, searchQuery);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                query: searchQuery.q,
+                groupCount: groupIds.length,
+                results,
+                pagination
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Search all messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error searching messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * List messages mentioning the user across their groups
+ */
+export const getMentions = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const unreadOnly = req.query.unread === 'true';
+
+        console.log(`📣 Fetching mentions for user ${userId}, page: ${page}, limit: ${limit}`);
+
+        const memberships = await GroupMember.find({ user: userId, isActive: true })
+            .select('group user lastReadMessageAt')
+            .lean();
+
+        const baseFilter = {
+            mentions: userId,
+            group: { $in: memberships.map(membership => membership.group) },
+            isDeleted: { $ne: true }
+        };
+
+        // Unread means past the read cursor of that mention's group
+        const unreadMentionsFilter = {
+            ...baseFilter,
+            $or: memberships.length > 0 ? memberships.map(unreadFilter) : [{ _id: null }]
+        };
+
+        const filter = unreadOnly ? unreadMentionsFilter : baseFilter;
+
+        const skip = (page - 1) * limit;
+
+        const [messages, totalCount, unreadCount] = await Promise.all([
+            Message.find(filter)
+                .select('content sender group messageType parentMessage createdAt')
+                .populate('sender', 'name email')
+                .populate('group', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Message.countDocuments(filter),
+            Message.countDocuments(unreadMentionsFilter)
+        ]);
+
+        const cursors = new Map(
+            memberships.map(membership => [membership.group.toString(), membership.lastReadMessageAt])
+        );
+
+        const mentions = messages.map(message => {
+            const lastReadMessageAt = cursors.get(message.group._id.toString());
+            return {
+                ...message,
+                isRead: Boolean(lastReadMessageAt && message.createdAt <= lastReadMessageAt)
+            };
         });
 
         res.status(200).json({
             success: true,
             data: {
+                mentions,
                 unreadCount,
-                groupId,
-                userId
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalMentions: totalCount,
+                    hasNext: page < Math.ceil(totalCount / limit),
+                    hasPrev: page > 1
+                }
             }
         });
 
     } catch (error) {
-        console.error('❌ Get unread count error:', error);
-        
-        if (error.message.includes('not a member')) {
-            return res.status(403).json({
-                success: false,
-                message: error.message
-            });
-        }
-
+        console.error('❌ Get mentions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching unread message count',
+            message: 'Error fetching mentions',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
 };
 
 /**
- * Mark messages as read in bulk
+ * Upload a file to a group as an image or file message
  */
-export const markMessagesAsRead = async (req, res) => {
+export const uploadMessageAttachment = async (req, res) => {
     try {
         const { groupId } = req.params;
-        const { messageIds } = req.body;
         const userId = req.user._id;
+        const { originalname, mimetype, buffer, size } = req.file;
 
-        console.log(`📖 Marking ${messageIds?.length || 0} messages as read in group ${groupId}`);
+        console.log(`📎 Uploading ${originalname} (${size} bytes) to group: ${groupId}`);
 
-        if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
-            return res.status(400).json({
+        // Check group membership
+        const membership = await validateGroupMembership(userId, groupId);
+        assertNotMuted(membership);
+
+        const group = await Group.findById(groupId);
+        if (!group) {
+            return res.status(404).json({
                 success: false,
-                message: 'Message IDs array is required'
+                message: 'Group not found'
             });
         }
 
-        // Check group membership
-        await validateGroupMembership(userId, groupId);
+        // Caption defaults to the filename so the message always has content
+        const filename = originalname.slice(0, 255);
+        const validatedContent = validateMessageContent(req.body.content || filename);
 
-        // Mark all specified messages as read
-        const markReadPromises = messageIds.map(messageId =>
-            markMessageAsRead(messageId, userId)
-        );
+        const storage = getStorageAdapter();
+        const checksum = createHash('sha256').update(buffer).digest('hex');
+        const { key } = await storage.save({ buffer, filename, mimeType: mimetype });
 
-        await Promise.all(markReadPromises);
+        let result;
+        try {
+            result = await publishMessage({
+                userId,
+                groupId,
+                content: validatedContent,
+                messageType: mimetype.startsWith('image/') ? 'image' : 'file',
+                attachment: {
+                    filename,
+                    size,
+                    mimeType: mimetype,
+                    checksum,
+                    storageDriver: storage.name,
+                    storageKey: key
+                }
+            });
+        } catch (error) {
+            // Don't leave an orphaned file behind
+            await storage.remove(key);
+            throw error;
+        }
 
-        res.status(200).json({
+        // A held upload keeps its file until a moderator decides
+        if (result.heldMessage) {
+            return res.status(202).json({
+                success: true,
+                message: 'File held for review by a moderator',
+                data: result.heldMessage
+            });
+        }
+
+        const populatedMessage = result.message;
+
+        console.log('✅ Attachment message created:', populatedMessage._id);
+
+        res.status(201).json({
             success: true,
-            message: `${messageIds.length} messages marked as read`,
-            data: {
-                markedCount: messageIds.length,
-                groupId,
-                userId
-            }
+            message: 'File uploaded successfully',
+            data: populatedMessage
         });
 
     } catch (error) {
-        console.error('❌ Mark messages as read error:', error);
-        
-        if (error.message.includes('not a member')) {
+        console.error('❌ Upload attachment error:', error);
+
+        if (error.message.includes('Message content cannot be empty') ||
+            error.message.includes('Message cannot exceed') ||
+            error.message.includes('blocked by auto-moderation')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not a member') ||
+            error.message.includes('are muted') ||
+            error.message.includes('can mention @everyone')) {
             return res.status(403).json({
                 success: false,
                 message: error.message
@@ -353,123 +2348,232 @@ export const markMessagesAsRead = async (req, res) => {
 
         res.status(500).json({
             success: false,
-            message: 'Error marking messages as read',
+            message: 'Error uploading file',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
 };
 
 /**
- * Delete a message (only by sender or admin)
+ * Forward a message into another group the user belongs to
  */
-export const deleteMessage = async (req, res) => {
+export const forwardMessage = async (req, res) => {
     try {
         const { messageId } = req.params;
+        const { groupId: targetGroupId } = req.body;
         const userId = req.user._id;
 
-        console.log(`🗑️ Deleting message: ${messageId}`);
+        console.log(`↪️ Forwarding message ${messageId} to group: ${targetGroupId}`);
+
+        const original = await Message.findById(messageId)
+            .select([
+                'content',
+                'sender',
+                'group',
+                'messageType',
+                'isDeleted',
+                'createdAt',
+                'forwardedFrom',
+                'attachment.filename',
+                'attachment.size',
+                'attachment.mimeType',
+                'attachment.checksum',
+                '+attachment.storageDriver',
+                '+attachment.storageKey'
+            ])
+            .lean();
 
-        const message = await Message.findById(messageId);
-        if (!message) {
+        if (!original || original.isDeleted) {
             return res.status(404).json({
                 success: false,
                 message: 'Message not found'
             });
         }
 
-        // Check if user is the sender or group admin
-        const isSender = message.sender.toString() === userId.toString();
-        
-        if (!isSender) {
-            // Check if user is group admin
-            const adminMembership = await GroupMember.findOne({
-                user: userId,
-                group: message.group,
-                role: 'admin',
-                isActive: true
+        // Must be able to see the original
+        await validateGroupMembership(userId, original.group);
+
+        if (original.messageType === 'system' || original.messageType === 'poll') {
+            return res.status(400).json({
+                success: false,
+                message: 'System messages and polls cannot be forwarded'
             });
+        }
 
-            if (!adminMembership) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Only message sender or group admin can delete messages'
-                });
+        if (original.group.toString() === targetGroupId.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message is already in this group'
+            });
+        }
+
+        const sourceGroup = await Group.findById(original.group).select('isPublic allowForwarding').lean();
+        if (sourceGroup && !sourceGroup.isPublic && !sourceGroup.allowForwarding) {
+            return res.status(403).json({
+                success: false,
+                message: 'Forwarding messages out of this group has been disabled by its admins'
+            });
+        }
+
+        // Must be able to post in the target
+        assertNotMuted(await validateGroupMembership(userId, targetGroupId));
+
+        const targetGroup = await Group.exists({ _id: targetGroupId });
+        if (!targetGroup) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        // Forwarding a forward keeps pointing at the first original
+        const forwardedFrom = original.forwardedFrom || {
+            message: original._id,
+            sender: original.sender,
+            group: original.group,
+            createdAt: original.createdAt
+        };
+
+        // The copy gets its own file so deleting either message leaves the other intact
+        const attachment = original.attachment
+            ? { ...original.attachment, ...(await copyStoredFile(original.attachment)) }
+            : undefined;
+
+        let result;
+        try {
+            result = await publishMessage({
+                userId,
+                groupId: targetGroupId,
+                content: original.content,
+                messageType: original.messageType,
+                forwardedFrom,
+                attachment
+            });
+        } catch (error) {
+            if (attachment) {
+                await getStorageAdapter(attachment.storageDriver).remove(attachment.storageKey);
             }
+            throw error;
+        }
+
+        if (result.heldMessage) {
+            return res.status(202).json({
+                success: true,
+                message: 'Forwarded message held for review by a moderator',
+                data: result.heldMessage
+            });
         }
 
-        await Message.findByIdAndDelete(messageId);
+        const populatedMessage = result.message;
 
-        console.log('✅ Message deleted:', messageId);
+        console.log('✅ Message forwarded:', populatedMessage._id);
 
-        res.status(200).json({
+        res.status(201).json({
             success: true,
-            message: 'Message deleted successfully'
+            message: 'Message forwarded successfully',
+            data: populatedMessage
         });
 
     } catch (error) {
-        console.error('❌ Delete message error:', error);
+        console.error('❌ Forward message error:', error);
+
+        if (error.message.includes('blocked by auto-moderation')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not a member') ||
+            error.message.includes('are muted')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
-            message: 'Error deleting message',
+            message: 'Error forwarding message',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
 };
 
 /**
- * Edit a message (only by sender)
+ * Download a message attachment (active group members only)
  */
-export const editMessage = async (req, res) => {
+export const downloadAttachment = async (req, res) => {
     try {
         const { messageId } = req.params;
-        const { content } = req.body;
         const userId = req.user._id;
 
-        console.log(`✏️ Editing message: ${messageId}`);
+        const message = await Message.findById(messageId)
+            .select([
+                'group',
+                'isDeleted',
+                'attachment.filename',
+                'attachment.size',
+                'attachment.mimeType',
+                'attachment.checksum',
+                'attachment.storageDriver',
+                'attachment.storageKey'
+            ].join(' '))
+            .lean();
 
-        const message = await Message.findById(messageId);
-        if (!message) {
+        if (!message || message.isDeleted || !message.attachment) {
             return res.status(404).json({
                 success: false,
-                message: 'Message not found'
+                message: 'Attachment not found'
             });
         }
 
-        // Check if user is the sender
-        if (message.sender.toString() !== userId.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'Only message sender can edit messages'
-            });
+        // Check group membership
+        await validateGroupMembership(userId, message.group);
+
+        const { filename, size, mimeType, checksum, storageDriver, storageKey } = message.attachment;
+
+        if (req.headers['if-none-match'] === `"${checksum}"`) {
+            return res.status(304).end();
         }
 
-        // Validate new content
-        const validatedContent = validateMessageContent(content);
+        const stream = getStorageAdapter(storageDriver).createReadStream(storageKey);
 
-        // Update message
-        const updatedMessage = await Message.findByIdAndUpdate(
-            messageId,
-            { 
-                content: validatedContent,
-                updatedAt: new Date()
-            },
-            { new: true, runValidators: true }
-        ).populate('sender', 'name email');
+        stream.on('error', (error) => {
+            console.error('❌ Attachment stream error:', error.message);
+
+            // Nothing written yet, so drop the file headers and answer the failure as JSON
+            if (!res.headersSent) {
+                res.removeHeader('Content-Type');
+                res.removeHeader('Content-Length');
+                res.removeHeader('Content-Disposition');
+                res.removeHeader('ETag');
+                res.set('Cache-Control', 'no-store');
+                return res.status(error.code === 'ENOENT' ? 404 : 500).json({
+                    success: false,
+                    message: error.code === 'ENOENT' ? 'Attachment file is missing' : 'Error downloading attachment'
+                });
+            }
 
-        console.log('✅ Message edited:', messageId);
+            res.destroy(error);
+        });
 
-        res.status(200).json({
-            success: true,
-            message: 'Message updated successfully',
-            data: updatedMessage
+        res.set({
+            'Content-Type': mimeType,
+            'Content-Length': size,
+            'Content-Disposition': `${INLINE_MIME_TYPES.includes(mimeType) ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=3600',
+            ETag: `"${checksum}"`
         });
 
+        stream.pipe(res);
+
     } catch (error) {
-        console.error('❌ Edit message error:', error);
-        
-        if (error.message.includes('Message content cannot be empty') ||
-            error.message.includes('Message cannot exceed')) {
-            return res.status(400).json({
+        console.error('❌ Download attachment error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
                 success: false,
                 message: error.message
             });
@@ -477,7 +2581,7 @@ export const editMessage = async (req, res) => {
 
         res.status(500).json({
             success: false,
-            message: 'Error editing message',
+            message: 'Error downloading attachment',
             error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
         });
     }
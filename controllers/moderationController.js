@@ -0,0 +1,699 @@
+// controllers/moderationController.js
+import Message from '../models/Message.js';
+import GroupMember from '../models/GroupMember.js';
+import PurgeLog from '../models/PurgeLog.js';
+import Report from '../models/Report.js';
+import HeldMessage from '../models/HeldMessage.js';
+import { softDeleteMessage, publishMessage, applyMessageEdit, isGroupModerator } from './messageController.js';
+import { removeGroupMember } from './groupMemberController.js';
+import { emitGroupEvent } from '../utils/messageEvents.js';
+import { escapeRegExp } from '../utils/search.js';
+import { tombstoneContent } from '../utils/tombstones.js';
+import { removeStoredFiles } from '../utils/storage/index.js';
+
+// Most messages a single purge removes; run it again for the rest
+const MAX_BULK_PURGE_MESSAGES = parseInt(process.env.MAX_BULK_PURGE_MESSAGES) || 1000;
+
+// Messages returned as a preview on dry runs
+const PURGE_SAMPLE_SIZE = 10;
+
+// System admins can act on any report, group admins and moderators on their group's
+const canModerateReport = async (user, report) => {
+    return ['admin', 'super_admin'].includes(user.role) || isGroupModerator(user._id, report.group);
+};
+
+// Removing members follows removeMember: only group admins (or system admins) may do it
+const canRemoveMembers = async (user, groupId) => {
+    if (['admin', 'super_admin'].includes(user.role)) {
+        return true;
+    }
+
+    const membership = await GroupMember.exists({
+        user: user._id,
+        group: groupId,
+        role: 'admin',
+        isActive: true
+    });
+
+    return Boolean(membership);
+};
+
+// Carry out a report resolution against the reported message or its sender
+const applyReportAction = async (report, action, note, userId) => {
+    const senderId = report.messageSnapshot.sender;
+
+    if (action === 'delete_message') {
+        const message = await Message.findById(report.message)
+            .select('+attachment.storageDriver +attachment.storageKey');
+
+        if (message && !message.isDeleted) {
+            await softDeleteMessage(message, userId, 'admin');
+        }
+    }
+
+    if (action === 'warn') {
+        await GroupMember.updateOne(
+            { user: senderId, group: report.group },
+            { $push: { warnings: { reason: report.reason, note, report: report._id, warnedBy: userId } } }
+        );
+
+        emitGroupEvent('member.warned', report.group, { userId: senderId, reason: report.reason, note });
+    }
+
+    if (action === 'remove_member') {
+        const membership = await GroupMember.findOne({ user: senderId, group: report.group }).lean();
+
+        if (membership?.role === 'admin') {
+            throw new Error('Group admins cannot be removed through reports');
+        }
+
+        if (membership?.isActive) {
+            await removeGroupMember(report.group, senderId, userId);
+        }
+    }
+};
+
+/**
+ * Page through reports matching a filter; open reports oldest first, so queues are worked in order
+ */
+export const listReports = async (filter, { page = 1, limit = 20 }) => {
+    const skip = (page - 1) * limit;
+
+    const [reports, totalCount] = await Promise.all([
+        Report.find(filter)
+            .populate('reporter', 'name email')
+            .populate('group', 'name')
+            .populate('messageSnapshot.sender', 'name email')
+            .populate('resolution.resolvedBy', 'name email')
+            .sort({ createdAt: filter.status === 'open' ? 1 : -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Report.countDocuments(filter)
+    ]);
+
+    return {
+        reports,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / limit),
+            totalReports: totalCount,
+            hasNext: page < Math.ceil(totalCount / limit),
+            hasPrev: page > 1
+        }
+    };
+};
+
+// Build the message filter for a purge; deleted messages never match again.
+// Patterns match as case-insensitive substrings, never as raw regexes.
+const buildPurgeFilter = (groupId, { sender, from, to, pattern, messageType }) => {
+    return {
+        group: groupId,
+        isDeleted: { $ne: true },
+        ...(sender && { sender }),
+        ...(messageType && { messageType }),
+        ...(pattern && { content: { $regex: escapeRegExp(pattern), $options: 'i' } }),
+        ...((from || to) && {
+            createdAt: {
+                ...(from && { $gte: new Date(from) }),
+                ...(to && { $lte: new Date(to) })
+            }
+        })
+    };
+};
+
+/**
+ * Purge messages in a group matching filters (Admins and moderators).
+ * Matches become admin tombstones, restorable until the purge job removes them.
+ * With dryRun only the match count and a sample are returned.
+ */
+export const bulkPurgeMessages = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { sender, from, to, pattern, messageType, dryRun = false } = req.body;
+        const userId = req.user._id;
+        const filters = { sender, from, to, pattern, messageType };
+
+        if (!(await isGroupModerator(userId, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can purge messages'
+            });
+        }
+
+        const filter = buildPurgeFilter(groupId, filters);
+        const matchedCount = await Message.countDocuments(filter);
+
+        if (dryRun) {
+            const sample = await Message.find(filter)
+                .select('content sender messageType createdAt')
+                .populate('sender', 'name email')
+                .sort({ createdAt: -1 })
+                .limit(PURGE_SAMPLE_SIZE)
+                .lean();
+
+            return res.status(200).json({
+                success: true,
+                message: `${matchedCount} messages match`,
+                data: {
+                    dryRun: true,
+                    matchedCount,
+                    wouldDeleteCount: Math.min(matchedCount, MAX_BULK_PURGE_MESSAGES),
+                    sample
+                }
+            });
+        }
+
+        console.log(`🧹 Purging up to ${MAX_BULK_PURGE_MESSAGES} of ${matchedCount} messages in group ${groupId}`);
+
+        const matches = await Message.find(filter)
+            .select('_id')
+            .sort({ createdAt: 1 })
+            .limit(MAX_BULK_PURGE_MESSAGES)
+            .lean();
+        const messageIds = matches.map(message => message._id);
+
+        // Same tombstone as a single admin delete, with the original content kept aside
+        const { modifiedCount } = await Message.updateMany(
+            { _id: { $in: messageIds }, isDeleted: { $ne: true } },
+            [
+                {
+                    $set: {
+                        deletedContent: '$content',
+                        deletedAttachment: '$attachment',
+                        content: tombstoneContent('admin'),
+                        isDeleted: true,
+                        deletedAt: new Date(),
+                        deletedBy: userId,
+                        deletedByRole: 'admin',
+                        reactions: [],
+                        pinnedAt: null,
+                        pinnedBy: null
+                    }
+                },
+                { $unset: 'attachment' }
+            ]
+        );
+
+        const purgeLog = await PurgeLog.create({
+            group: groupId,
+            performedBy: userId,
+            filters,
+            matchedCount,
+            deletedCount: modifiedCount,
+            messages: messageIds
+        });
+
+        console.log(`✅ Purged ${modifiedCount} messages, log ${purgeLog._id}`);
+
+        emitGroupEvent('messages.purged', groupId, {
+            messageIds,
+            purgedBy: userId,
+            purgeLogId: purgeLog._id
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `${modifiedCount} messages purged`,
+            data: {
+                dryRun: false,
+                matchedCount,
+                deletedCount: modifiedCount,
+                remainingCount: Math.max(matchedCount - messageIds.length, 0),
+                purgeLogId: purgeLog._id
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Bulk purge error:', error);
+
+        res.status(500).json({
+            success: false,
+            message: 'Error purging messages',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * List past purges in a group, newest first (Admins and moderators)
+ */
+export const getPurgeLogs = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!(await isGroupModerator(userId, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can view purge logs'
+            });
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [logs, totalCount] = await Promise.all([
+            PurgeLog.find({ group: groupId })
+                .populate('performedBy', 'name email')
+                .populate('filters.sender', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            PurgeLog.countDocuments({ group: groupId })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                logs,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalLogs: totalCount,
+                    hasNext: page < Math.ceil(totalCount / limit),
+                    hasPrev: page > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get purge logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching purge logs'
+        });
+    }
+};
+
+/**
+ * Report a message to the group's moderators
+ */
+export const reportMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { reason, note } = req.body;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('group sender content messageType createdAt isDeleted')
+            .lean();
+
+        if (!message || message.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const membership = await GroupMember.exists({ user: userId, group: message.group, isActive: true });
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        if (message.sender.toString() === userId.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot report your own message'
+            });
+        }
+
+        const report = await Report.create({
+            message: message._id,
+            group: message.group,
+            reporter: userId,
+            reason,
+            note: note || null,
+            messageSnapshot: {
+                content: message.content,
+                sender: message.sender,
+                messageType: message.messageType,
+                createdAt: message.createdAt
+            },
+            history: [{ action: 'reported', performedBy: userId, note: note || null }]
+        });
+
+        console.log(`🚩 Message ${messageId} reported for ${reason}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Message reported to the group moderators',
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Report message error:', error);
+
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reported this message'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error reporting message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get a group's report queue (Admins and moderators)
+ */
+export const getGroupReports = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { status = 'open', reason } = req.query;
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!(await isGroupModerator(userId, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can view reports'
+            });
+        }
+
+        const data = await listReports(
+            { group: groupId, status, ...(reason && { reason }) },
+            { page, limit }
+        );
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Get group reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reports'
+        });
+    }
+};
+
+/**
+ * Get a single report with its full history
+ */
+export const getReport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+
+        const report = await Report.findById(reportId)
+            .populate('reporter', 'name email')
+            .populate('group', 'name')
+            .populate('messageSnapshot.sender', 'name email')
+            .populate('resolution.resolvedBy', 'name email')
+            .populate('history.performedBy', 'name email')
+            .lean();
+
+        // The group may have been deleted since the report was made
+        if (!report || !report.group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (!(await canModerateReport(req.user, { group: report.group._id }))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators of this group can view this report'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Get report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching report'
+        });
+    }
+};
+
+/**
+ * Resolve an open report with an action (group admins/moderators or system admins)
+ */
+export const resolveReport = async (req, res) => {
+    try {
+        const { reportId } = req.params;
+        const { action, note = null } = req.body;
+        const userId = req.user._id;
+
+        const report = await Report.findById(reportId);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (!(await canModerateReport(req.user, report))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators of this group can resolve this report'
+            });
+        }
+
+        if (report.status === 'resolved') {
+            return res.status(409).json({
+                success: false,
+                message: 'Report has already been resolved'
+            });
+        }
+
+        if (action === 'remove_member' && !(await canRemoveMembers(req.user, report.group))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can remove members'
+            });
+        }
+
+        await applyReportAction(report, action, note, userId);
+
+        const resolvedAt = new Date();
+        report.status = 'resolved';
+        report.resolution = { action, note, resolvedBy: userId, resolvedAt };
+        report.history.push({ action, performedBy: userId, note, performedAt: resolvedAt });
+        await report.save();
+
+        // Other open reports about a deleted message have nothing left to act on
+        if (action === 'delete_message') {
+            await Report.updateMany(
+                { message: report.message, status: 'open' },
+                {
+                    status: 'resolved',
+                    resolution: { action, note, resolvedBy: userId, resolvedAt },
+                    $push: {
+                        history: {
+                            action,
+                            performedBy: userId,
+                            note: `Resolved together with report ${report._id}`,
+                            performedAt: resolvedAt
+                        }
+                    }
+                }
+            );
+        }
+
+        console.log(`✅ Report ${reportId} resolved with ${action}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Report resolved successfully',
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Resolve report error:', error);
+
+        if (error.message.includes('cannot be removed through reports')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error resolving report',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get a group's auto-moderation review queue (Admins and moderators)
+ */
+export const getHeldMessages = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { status = 'pending' } = req.query;
+        const userId = req.user._id;
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        if (!(await isGroupModerator(userId, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins and moderators can view held messages'
+            });
+        }
+
+        const filter = { group: groupId, status };
+        const skip = (page - 1) * limit;
+
+        const [heldMessages, totalCount] = await Promise.all([
+            HeldMessage.find(filter)
+                .populate('sender', 'name email')
+                .populate('reviewedBy', 'name email')
+                .sort({ createdAt: status === 'pending' ? 1 : -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            HeldMessage.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                heldMessages,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(totalCount / limit),
+                    totalHeldMessages: totalCount,
+                    hasNext: page < Math.ceil(totalCount / limit),
+                    hasPrev: page > 1
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get held messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching held messages'
+        });
+    }
+};
+
+/**
+ * Approve or reject a held send or edit (group admins/moderators or system admins).
+ * Approving publishes the message, or applies the edit, without running the rules again.
+ */
+export const reviewHeldMessage = async (req, res) => {
+    try {
+        const { heldMessageId } = req.params;
+        const { decision, note = null } = req.body;
+        const userId = req.user._id;
+
+        const heldMessage = await HeldMessage.findById(heldMessageId)
+            .select('+attachment.storageDriver +attachment.storageKey');
+        if (!heldMessage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Held message not found'
+            });
+        }
+
+        if (!(await canModerateReport(req.user, heldMessage))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only moderators of this group can review held messages'
+            });
+        }
+
+        if (heldMessage.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Held message has already been ${heldMessage.status}`
+            });
+        }
+
+        let messageData = null;
+
+        if (decision === 'approve' && heldMessage.event === 'send') {
+            ({ message: messageData } = await publishMessage({
+                userId: heldMessage.sender,
+                groupId: heldMessage.group,
+                content: heldMessage.content,
+                messageType: heldMessage.messageType,
+                parentMessage: heldMessage.parentMessage,
+                quotedMessage: heldMessage.quotedMessage,
+                poll: heldMessage.poll,
+                attachment: heldMessage.attachment?.storageKey ? heldMessage.attachment.toObject() : undefined,
+                forwardedFrom: heldMessage.forwardedFrom,
+                skipAutoModeration: true
+            }));
+
+            heldMessage.message = messageData._id;
+        }
+
+        // A rejected file never gets a message, so nothing else will clean it up
+        if (decision === 'reject') {
+            await removeStoredFiles([heldMessage.attachment]).catch((error) => {
+                console.error('❌ Held attachment cleanup error:', error);
+            });
+        }
+
+        if (decision === 'approve' && heldMessage.event === 'edit') {
+            const message = await Message.findById(heldMessage.message);
+
+            if (!message || message.isDeleted) {
+                throw new Error('Message being edited has been deleted');
+            }
+
+            messageData = await applyMessageEdit(message, heldMessage.content);
+        }
+
+        heldMessage.status = decision === 'approve' ? 'approved' : 'rejected';
+        heldMessage.reviewedBy = userId;
+        heldMessage.reviewedAt = new Date();
+        heldMessage.reviewNote = note;
+        await heldMessage.save();
+
+        console.log(`✅ Held ${heldMessage.event} ${heldMessageId} ${heldMessage.status}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Held message ${heldMessage.status}`,
+            data: {
+                heldMessage,
+                message: messageData
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Review held message error:', error);
+
+        if (error.message.includes('has been deleted') ||
+            error.message.includes('message not found') ||
+            error.message.includes('not a member') ||
+            error.message.includes('are muted')) {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error reviewing held message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
\ No newline at end of file
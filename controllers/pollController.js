@@ -0,0 +1,348 @@
+// controllers/pollController.js
+import Message from '../models/Message.js';
+import GroupMember from '../models/GroupMember.js';
+import { publishMessage } from './messageController.js';
+import { emitGroupEvent } from '../utils/messageEvents.js';
+import { isPollClosed, summarizePoll } from '../utils/polls.js';
+
+// Load a poll message with its votes, voters populated for public polls
+const findPollMessage = async (messageId) => {
+    const message = await Message.findOne({ _id: messageId, messageType: 'poll', isDeleted: { $ne: true } })
+        .select('+poll.votes')
+        .populate('poll.votes.user', 'name email')
+        .lean();
+
+    if (!message) {
+        throw new Error('Poll not found');
+    }
+
+    return message;
+};
+
+// Active membership of a user in a group, or null
+const findMembership = (userId, groupId) => {
+    return GroupMember.findOne({ user: userId, group: groupId, isActive: true }).lean();
+};
+
+// Match a poll only while it is still open at `now`: not closed early and not past closesAt
+const openPollFilter = (messageId, now) => ({
+    _id: messageId,
+    'poll.closedAt': null,
+    $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+});
+
+// Broadcast fresh results; per-viewer fields are left for clients to fill in
+const emitPollUpdate = (message) => {
+    emitGroupEvent('poll.updated', message.group, {
+        messageId: message._id,
+        poll: summarizePoll(message.poll)
+    });
+};
+
+/**
+ * Create a poll message in a group
+ */
+export const createPoll = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { question, options, allowMultiple = false, isAnonymous = false, closesAt } = req.body;
+        const userId = req.user._id;
+
+        console.log('📊 Creating poll in group:', groupId);
+
+        if (closesAt && new Date(closesAt) <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Closing time must be in the future'
+            });
+        }
+
+        const { message, heldMessage } = await publishMessage({
+            userId,
+            groupId,
+            content: question,
+            messageType: 'poll',
+            poll: {
+                question,
+                options: options.map(text => ({ text })),
+                allowMultiple,
+                isAnonymous,
+                closesAt: closesAt ? new Date(closesAt) : null
+            }
+        });
+
+        if (heldMessage) {
+            return res.status(202).json({
+                success: true,
+                message: 'Poll held for review by a moderator',
+                data: heldMessage
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Poll created successfully',
+            data: { ...message, poll: summarizePoll(message.poll, userId) }
+        });
+
+    } catch (error) {
+        console.error('❌ Create poll error:', error);
+
+        if (error.message.includes('Message content cannot be empty') ||
+            error.message.includes('Message cannot exceed') ||
+            error.message.includes('blocked by auto-moderation')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('Group not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.message.includes('not a member') ||
+            error.message.includes('are muted') ||
+            error.message.includes('can mention @everyone')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error creating poll',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Vote in a poll, replacing any earlier vote by the same user
+ */
+export const votePoll = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const optionIds = [...new Set(req.body.optionIds.map(String))];
+        const userId = req.user._id;
+
+        const message = await findPollMessage(messageId);
+
+        const membership = await findMembership(userId, message.group);
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        if (isPollClosed(message.poll)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This poll is closed'
+            });
+        }
+
+        const validOptionIds = new Set(message.poll.options.map(option => option._id.toString()));
+        if (!optionIds.every(optionId => validOptionIds.has(optionId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid poll option'
+            });
+        }
+
+        if (!message.poll.allowMultiple && optionIds.length !== 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'This poll allows only one choice'
+            });
+        }
+
+        const votedAt = new Date();
+
+        // Only an open poll takes votes, however it was closed since it was read
+        const openPoll = openPollFilter(messageId, votedAt);
+
+        // Change an existing vote in place, otherwise add one; never two entries per user
+        const changed = await Message.updateOne(
+            { ...openPoll, 'poll.votes.user': userId },
+            { $set: { 'poll.votes.$.options': optionIds, 'poll.votes.$.votedAt': votedAt } }
+        );
+
+        if (changed.matchedCount === 0) {
+            const added = await Message.updateOne(
+                { ...openPoll, 'poll.votes.user': { $ne: userId } },
+                { $push: { 'poll.votes': { user: userId, options: optionIds, votedAt } } }
+            );
+
+            if (added.matchedCount === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This poll is closed'
+                });
+            }
+        }
+
+        const updatedMessage = await findPollMessage(messageId);
+
+        console.log(`🗳️ User ${userId} voted in poll ${messageId}`);
+
+        emitPollUpdate(updatedMessage);
+
+        res.status(200).json({
+            success: true,
+            message: changed.matchedCount > 0 ? 'Vote changed successfully' : 'Vote recorded successfully',
+            data: summarizePoll(updatedMessage.poll, userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Vote poll error:', error);
+
+        if (error.message.includes('Poll not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error recording vote',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Close a poll early (poll creator or group admins/moderators)
+ */
+export const closePoll = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await findPollMessage(messageId);
+
+        const membership = await findMembership(userId, message.group);
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        const isCreator = message.sender.toString() === userId.toString();
+        if (!isCreator && !['admin', 'moderator'].includes(membership.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the poll creator or a group admin or moderator can close this poll'
+            });
+        }
+
+        if (isPollClosed(message.poll)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This poll is already closed'
+            });
+        }
+
+        const closedAt = new Date();
+        const closed = await Message.updateOne(
+            openPollFilter(messageId, closedAt),
+            { 'poll.closedAt': closedAt, 'poll.closedBy': userId }
+        );
+
+        if (closed.matchedCount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This poll is already closed'
+            });
+        }
+
+        const closedMessage = await findPollMessage(messageId);
+
+        console.log(`🔒 Poll ${messageId} closed by user ${userId}`);
+
+        emitPollUpdate(closedMessage);
+
+        res.status(200).json({
+            success: true,
+            message: 'Poll closed successfully',
+            data: summarizePoll(closedMessage.poll, userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Close poll error:', error);
+
+        if (error.message.includes('Poll not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error closing poll',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * Get poll results (group members only)
+ */
+export const getPollResults = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await findPollMessage(messageId);
+
+        const membership = await findMembership(userId, message.group);
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: summarizePoll(message.poll, userId)
+        });
+
+    } catch (error) {
+        console.error('❌ Get poll results error:', error);
+
+        if (error.message.includes('Poll not found')) {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching poll results',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
\ No newline at end of file
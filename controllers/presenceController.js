@@ -0,0 +1,158 @@
+// controllers/presenceController.js
+import GroupMember from '../models/GroupMember.js';
+import User, { ACTIVE_WINDOW_MINUTES, getActiveSince } from '../models/User.js';
+import { validateGroupMembership } from './messageController.js';
+import { startTyping, stopTyping, getTypingUsers } from '../utils/typingIndicators.js';
+
+/**
+ * Start (or keep) typing in a group; call again before expiresAt to stay typing
+ */
+export const startTypingInGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const membership = await validateGroupMembership(req.user._id, groupId);
+
+        // Muted members cannot post, so they have nothing to be typing
+        if (membership.mutedUntil && membership.mutedUntil > new Date()) {
+            return res.status(403).json({
+                success: false,
+                message: `You are muted in this group until ${membership.mutedUntil.toISOString()}`
+            });
+        }
+
+        const expiresAt = await startTyping(groupId, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: { expiresAt }
+        });
+
+    } catch (error) {
+        console.error('❌ Start typing error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error updating typing status'
+        });
+    }
+};
+
+/**
+ * Stop typing in a group
+ */
+export const stopTypingInGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+
+        await stopTyping(groupId, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Typing stopped'
+        });
+
+    } catch (error) {
+        console.error('❌ Stop typing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating typing status'
+        });
+    }
+};
+
+/**
+ * Get who is typing in a group right now
+ */
+export const getGroupTyping = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        await validateGroupMembership(req.user._id, groupId);
+
+        res.status(200).json({
+            success: true,
+            data: await getTypingUsers(groupId)
+        });
+
+    } catch (error) {
+        console.error('❌ Get typing users error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching typing users'
+        });
+    }
+};
+
+/**
+ * Get the group's active members seen within the online window, most recent first
+ */
+export const getOnlineMembers = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { group } = await validateGroupMembership(req.user._id, groupId);
+
+        // Only members seen within the window are joined in; the rest never leave the database
+        const [memberCount, onlineMembers, typing] = await Promise.all([
+            GroupMember.countDocuments({ group, isActive: true }),
+            GroupMember.aggregate([
+                { $match: { group, isActive: true } },
+                {
+                    $lookup: {
+                        from: User.collection.name,
+                        localField: 'user',
+                        foreignField: '_id',
+                        pipeline: [
+                            { $match: { lastActive: { $gte: getActiveSince() } } },
+                            { $project: { name: 1, email: 1, lastActive: 1 } }
+                        ],
+                        as: 'user'
+                    }
+                },
+                { $unwind: '$user' },
+                { $sort: { 'user.lastActive': -1 } },
+                { $replaceWith: { $mergeObjects: ['$user', { role: '$role' }] } }
+            ]),
+            getTypingUsers(group)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                onlineCount: onlineMembers.length,
+                memberCount,
+                windowMinutes: ACTIVE_WINDOW_MINUTES,
+                onlineMembers,
+                typing
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Get online members error:', error);
+
+        if (error.message.includes('not a member')) {
+            return res.status(403).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching online members'
+        });
+    }
+};
\ No newline at end of file
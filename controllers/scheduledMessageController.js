@@ -0,0 +1,187 @@
+// controllers/scheduledMessageController.js
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import GroupMember from '../models/GroupMember.js';
+import Message from '../models/Message.js';
+
+// Furthest ahead a message can be scheduled
+const MAX_SCHEDULE_DAYS = parseInt(process.env.MAX_SCHEDULE_DAYS) || 365;
+
+/**
+ * Schedule a message to be sent to a group later
+ */
+export const scheduleMessage = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { content, messageType = 'text', parentMessage, quotedMessage, sendAt } = req.body;
+        const userId = req.user._id;
+
+        console.log(`⏰ Scheduling message to group ${groupId} for ${sendAt}`);
+
+        const membership = await GroupMember.findOne({
+            user: userId,
+            group: groupId,
+            isActive: true
+        });
+
+        if (!membership) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        const sendAtDate = new Date(sendAt);
+        const maxSendAt = new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+
+        if (sendAtDate <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Send time must be in the future'
+            });
+        }
+
+        if (sendAtDate > maxSendAt) {
+            return res.status(400).json({
+                success: false,
+                message: `Messages can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`
+            });
+        }
+
+        if (parentMessage) {
+            const parent = await Message.findOne({ _id: parentMessage, group: groupId, isDeleted: { $ne: true } })
+                .select('_id')
+                .lean();
+
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parent message not found'
+                });
+            }
+        }
+
+        if (quotedMessage) {
+            const quoted = await Message.findOne({ _id: quotedMessage, group: groupId, isDeleted: { $ne: true } })
+                .select('_id')
+                .lean();
+
+            if (!quoted) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Quoted message not found'
+                });
+            }
+        }
+
+        const scheduledMessage = await ScheduledMessage.create({
+            content: content.trim(),
+            sender: userId,
+            group: groupId,
+            messageType,
+            parentMessage: parentMessage || null,
+            quotedMessage: quotedMessage || null,
+            sendAt: sendAtDate
+        });
+
+        console.log('✅ Message scheduled:', scheduledMessage._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Message scheduled successfully',
+            data: scheduledMessage
+        });
+
+    } catch (error) {
+        console.error('❌ Schedule message error:', error);
+
+        if (error.name === 'ValidationError') {
+            const errors = Object.values(error.errors).map(err => ({
+                field: err.path,
+                message: err.message
+            }));
+
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error scheduling message',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+        });
+    }
+};
+
+/**
+ * List the user's scheduled messages, pending ones by default
+ */
+export const getScheduledMessages = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { groupId, status = 'pending' } = req.query;
+
+        const scheduledMessages = await ScheduledMessage.find({
+            sender: userId,
+            status,
+            ...(groupId && { group: groupId })
+        })
+            .populate('group', 'name')
+            .sort({ sendAt: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            count: scheduledMessages.length,
+            data: scheduledMessages
+        });
+
+    } catch (error) {
+        console.error('❌ Get scheduled messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching scheduled messages'
+        });
+    }
+};
+
+/**
+ * Cancel one of the user's pending scheduled messages
+ */
+export const cancelScheduledMessage = async (req, res) => {
+    try {
+        const { scheduledMessageId } = req.params;
+        const userId = req.user._id;
+
+        console.log(`🚫 Cancelling scheduled message: ${scheduledMessageId}`);
+
+        // Only pending messages can be cancelled; one being sent right now cannot
+        const cancelledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: scheduledMessageId, sender: userId, status: 'pending' },
+            { status: 'cancelled' },
+            { new: true }
+        ).lean();
+
+        if (!cancelledMessage) {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending scheduled message not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Scheduled message cancelled successfully',
+            data: cancelledMessage
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel scheduled message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error cancelling scheduled message'
+        });
+    }
+};
\ No newline at end of file
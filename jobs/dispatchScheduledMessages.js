@@ -0,0 +1,99 @@
+// jobs/dispatchScheduledMessages.js
+import mongoose from 'mongoose';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import Message from '../models/Message.js';
+import HeldMessage from '../models/HeldMessage.js';
+import { publishMessage } from '../controllers/messageController.js';
+
+// A claim older than this is assumed to belong to a crashed run
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Atomically claim the next due message so parallel runs never send it twice.
+// Stale claims are taken at any attempt count so they can be settled instead of left in 'sending'.
+const claimNextDueMessage = (now) => {
+    return ScheduledMessage.findOneAndUpdate(
+        {
+            sendAt: { $lte: now },
+            $or: [
+                { status: 'pending', attempts: { $lt: MAX_ATTEMPTS } },
+                { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+            ]
+        },
+        { status: 'sending', $inc: { attempts: 1 } },
+        { sort: { sendAt: 1 }, new: true }
+    );
+};
+
+// Find what an earlier attempt created under the reserved id, if it got that far
+const findEarlierDelivery = async (deliveryId) => {
+    if (await Message.exists({ _id: deliveryId })) return { message: { _id: deliveryId } };
+    if (await HeldMessage.exists({ _id: deliveryId })) return { heldMessage: { _id: deliveryId } };
+    return null;
+};
+
+/**
+ * Publish due scheduled messages through the same path as sendMessage.
+ * Senders who have left the group by then are not delivered for.
+ * The message id is reserved before publishing, so a run that published but crashed
+ * before saving the outcome is settled from that id rather than sent again.
+ */
+export const dispatchScheduledMessages = async ({ batchSize = 100 } = {}) => {
+    const now = new Date();
+    let sentCount = 0;
+    let failedCount = 0;
+
+    for (let i = 0; i < batchSize; i += 1) {
+        const scheduled = await claimNextDueMessage(now);
+        if (!scheduled) break;
+
+        try {
+            let delivery = null;
+
+            if (scheduled.sentMessage) {
+                delivery = await findEarlierDelivery(scheduled.sentMessage);
+            } else {
+                scheduled.sentMessage = new mongoose.Types.ObjectId();
+                await scheduled.save();
+            }
+
+            if (!delivery && scheduled.attempts > MAX_ATTEMPTS) {
+                throw new Error(`Delivery did not complete after ${MAX_ATTEMPTS} attempts`);
+            }
+
+            const { message, heldMessage } = delivery || await publishMessage({
+                messageId: scheduled.sentMessage,
+                userId: scheduled.sender,
+                groupId: scheduled.group,
+                content: scheduled.content,
+                messageType: scheduled.messageType,
+                parentMessage: scheduled.parentMessage,
+                quotedMessage: scheduled.quotedMessage
+            });
+
+            // Auto-moderation can hold it for review like any other send
+            scheduled.status = heldMessage ? 'held' : 'sent';
+            scheduled.sentMessage = message?._id || null;
+            scheduled.heldMessage = heldMessage?._id || null;
+            scheduled.sentAt = new Date();
+            scheduled.failureReason = null;
+            sentCount += 1;
+        } catch (error) {
+            console.error(`❌ Scheduled message ${scheduled._id} not delivered:`, error.message);
+
+            // Database hiccups are retried; membership, content and permission failures are final
+            const canRetry = error.name?.startsWith('Mongo') && scheduled.attempts < MAX_ATTEMPTS;
+            scheduled.status = canRetry ? 'pending' : 'failed';
+            scheduled.failureReason = error.message;
+            if (!canRetry) failedCount += 1;
+        }
+
+        await scheduled.save();
+    }
+
+    if (sentCount > 0 || failedCount > 0) {
+        console.log(`⏰ Dispatched ${sentCount} scheduled messages, ${failedCount} failed`);
+    }
+
+    return { sentCount, failedCount };
+};
\ No newline at end of file
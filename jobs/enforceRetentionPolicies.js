@@ -0,0 +1,120 @@
+// jobs/enforceRetentionPolicies.js
+import Group from '../models/Group.js';
+import Message from '../models/Message.js';
+import SystemSettings from '../models/SystemSettings.js';
+import RetentionLog from '../models/RetentionLog.js';
+import { removeStoredFiles } from '../utils/storage/index.js';
+import { refreshThreadStats } from '../utils/threadStats.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention that applies to a group with a policy: its own setting capped by the system-wide maximum
+ */
+const getEffectiveRetentionDays = (groupRetentionDays, maxRetentionDays) => {
+    return maxRetentionDays ? Math.min(groupRetentionDays, maxRetentionDays) : groupRetentionDays;
+};
+
+// Delete a group's expired messages in batches, returns how many were removed
+const purgeGroupMessages = async (groupId, cutoff, batchSize) => {
+    // A thread expires with its last reply, so a live thread never loses its parent
+    const expiredFilter = {
+        group: groupId,
+        createdAt: { $lt: cutoff },
+        $or: [{ lastReplyAt: null }, { lastReplyAt: { $lt: cutoff } }]
+    };
+
+    let deletedCount = 0;
+
+    while (true) {
+        const batch = await Message.find(expiredFilter)
+            .select([
+                '_id',
+                'parentMessage',
+                'attachment.storageDriver',
+                'attachment.storageKey',
+                '+deletedAttachment'
+            ].join(' '))
+            .limit(batchSize)
+            .lean();
+
+        if (batch.length === 0) break;
+
+        const batchIds = batch.map(message => message._id.toString());
+        const result = await Message.deleteMany({ _id: { $in: batchIds } });
+        deletedCount += result.deletedCount;
+
+        await removeStoredFiles(batch.flatMap(message => [message.attachment, message.deletedAttachment]));
+
+        // Parents kept alive by newer replies need their reply counts corrected
+        const batchIdSet = new Set(batchIds);
+        const survivingParents = new Set(
+            batch
+                .filter(message => message.parentMessage && !batchIdSet.has(message.parentMessage.toString()))
+                .map(message => message.parentMessage.toString())
+        );
+        for (const parentId of survivingParents) {
+            await refreshThreadStats(parentId);
+        }
+
+        if (batch.length < batchSize) break;
+    }
+
+    return deletedCount;
+};
+
+/**
+ * Delete messages older than each group's retention period and log a summary for admins
+ */
+export const enforceRetentionPolicies = async ({ batchSize = 1000 } = {}) => {
+    const startedAt = new Date();
+    const { maxRetentionDays } = await SystemSettings.getSettings();
+
+    // Groups without a policy keep everything; the system maximum only caps existing policies
+    const groups = await Group.find({ retentionDays: { $ne: null } })
+        .select('name retentionDays')
+        .lean();
+
+    const summaries = [];
+    const failures = [];
+
+    for (const group of groups) {
+        const retentionDays = getEffectiveRetentionDays(group.retentionDays, maxRetentionDays);
+
+        const cutoff = new Date(startedAt.getTime() - retentionDays * DAY);
+
+        try {
+            const deletedCount = await purgeGroupMessages(group._id, cutoff, batchSize);
+            if (deletedCount > 0) {
+                summaries.push({
+                    group: group._id,
+                    groupName: group.name,
+                    retentionDays,
+                    cutoff,
+                    deletedCount
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Retention purge failed for group ${group._id}:`, error.message);
+            failures.push({ group: group._id, message: error.message });
+        }
+    }
+
+    const totalDeleted = summaries.reduce((total, summary) => total + summary.deletedCount, 0);
+
+    // Only runs that changed something (or failed) are worth an entry in the admin log
+    if (summaries.length > 0 || failures.length > 0) {
+        await RetentionLog.create({
+            startedAt,
+            finishedAt: new Date(),
+            maxRetentionDays,
+            totalDeleted,
+            groups: summaries,
+            failures
+        });
+
+        console.log(`🗄️ Retention purge removed ${totalDeleted} messages from ${summaries.length} groups`);
+    }
+
+    return { totalDeleted, groups: summaries, failures };
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+// jobs/index.js
+import { purgeDeletedMessages } from './purgeDeletedMessages.js';
+import { dispatchScheduledMessages } from './dispatchScheduledMessages.js';
+import { enforceRetentionPolicies } from './enforceRetentionPolicies.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const jobs = [
+    {
+        name: 'purge-deleted-messages',
+        run: purgeDeletedMessages,
+        intervalMs: (parseInt(process.env.PURGE_INTERVAL_MINUTES) || 60) * MINUTE
+    },
+    {
+        name: 'dispatch-scheduled-messages',
+        run: dispatchScheduledMessages,
+        intervalMs: (parseInt(process.env.SCHEDULED_MESSAGE_INTERVAL_SECONDS) || 30) * SECOND
+    },
+    {
+        name: 'enforce-retention-policies',
+        run: enforceRetentionPolicies,
+        intervalMs: (parseInt(process.env.RETENTION_PURGE_INTERVAL_MINUTES) || 60) * MINUTE
+    }
+];
+
+let started = false;
+
+/**
+ * Run a single job by name, as the cron endpoint does; resolves to the job's summary
+ */
+export const runJob = async (name) => {
+    const job = jobs.find(candidate => candidate.name === name);
+
+    if (!job) {
+        throw new Error(`Unknown job ${name}`);
+    }
+
+    return job.run();
+};
+
+/**
+ * Run each job on its own interval; a job never overlaps with its previous run.
+ * Serverless instances are frozen between requests, so on Vercel the crons in
+ * vercel.json call GET /api/jobs/:jobName instead.
+ */
+export const startBackgroundJobs = () => {
+    if (started) return;
+    started = true;
+
+    if (process.env.VERCEL) {
+        console.log('⏱️ Background jobs run from Vercel cron');
+        return;
+    }
+
+    jobs.forEach((job) => {
+        let running = false;
+
+        const tick = async () => {
+            if (running) return;
+            running = true;
+
+            try {
+                await job.run();
+            } catch (error) {
+                console.error(`❌ Background job ${job.name} failed:`, error.message);
+            } finally {
+                running = false;
+            }
+        };
+
+        // Don't keep the process alive just for background jobs
+        setInterval(tick, job.intervalMs).unref();
+        console.log(`⏱️ Background job ${job.name} scheduled every ${job.intervalMs / SECOND} seconds`);
+    });
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+// jobs/purgeDeletedMessages.js
+import Message from '../models/Message.js';
+import { getRetentionCutoff } from '../utils/tombstones.js';
+import { removeStoredFiles } from '../utils/storage/index.js';
+import { refreshThreadStats } from '../utils/threadStats.js';
+
+/**
+ * Hard-delete tombstones past the retention period.
+ * Thread parents that still have replies keep their tombstone but lose the original content.
+ */
+export const purgeDeletedMessages = async ({ batchSize = 500 } = {}) => {
+    const cutoff = getRetentionCutoff();
+    let purgedCount = 0;
+    let strippedCount = 0;
+
+    while (true) {
+        const expired = await Message.find({
+            isDeleted: true,
+            deletedAt: { $lte: cutoff },
+            deletedContent: { $exists: true }
+        })
+            .select('_id parentMessage replyCount +deletedAttachment')
+            .limit(batchSize)
+            .lean();
+
+        if (expired.length === 0) break;
+
+        const withReplies = expired.filter(message => message.replyCount > 0);
+        const removable = expired.filter(message => !(message.replyCount > 0));
+        const affectedParents = new Set(
+            removable
+                .filter(message => message.parentMessage)
+                .map(message => message.parentMessage.toString())
+        );
+
+        // Stored files go along with the content that referenced them
+        await removeStoredFiles(expired.map(message => message.deletedAttachment));
+
+        await Promise.all([
+            Message.deleteMany({ _id: { $in: removable.map(message => message._id) } }),
+            Message.updateMany(
+                { _id: { $in: withReplies.map(message => message._id) } },
+                { $unset: { deletedContent: 1, deletedAttachment: 1, editHistory: 1 } }
+            )
+        ]);
+
+        // Keep reply counts right, and drop parent tombstones whose threads are now empty
+        for (const parentId of affectedParents) {
+            const parent = await refreshThreadStats(parentId);
+            if (parent && parent.isDeleted && parent.replyCount === 0 && parent.deletedAt <= cutoff) {
+                await Message.deleteOne({ _id: parent._id });
+                purgedCount += 1;
+            }
+        }
+
+        purgedCount += removable.length;
+        strippedCount += withReplies.length;
+
+        if (expired.length < batchSize) break;
+    }
+
+    if (purgedCount > 0 || strippedCount > 0) {
+        console.log(`🧹 Purged ${purgedCount} deleted messages, stripped content from ${strippedCount} thread tombstones`);
+    }
+
+    return { purgedCount, strippedCount };
+};
\ No newline at end of file
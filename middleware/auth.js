@@ -1,4 +1,5 @@
 // middleware/auth.js
+import { timingSafeEqual } from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
@@ -14,6 +15,11 @@ export const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Stream tickets only open the routes that take ?ticket=
+            if (decoded.purpose) {
+                throw new Error(`A ${decoded.purpose} ticket is not a login token`);
+            }
+
             // Get user from token
             req.user = await User.findById(decoded.userId).select('-password');
 
@@ -40,4 +46,52 @@ export const protect = async (req, res, next) => {
             message: 'Not authorized, no token provided'
         });
     }
+};
+
+// EventSource and <img> cannot send headers, so these routes also take a short-lived
+// ?ticket= from POST /api/auth/stream-ticket; the login token itself never goes in a URL
+export const protectWithStreamTicket = async (req, res, next) => {
+    if (req.headers.authorization || !req.query.ticket) {
+        return protect(req, res, next);
+    }
+
+    try {
+        const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET);
+
+        if (decoded.purpose !== 'stream') {
+            throw new Error('Not a stream ticket');
+        }
+
+        req.user = await User.findById(decoded.userId).select('-password');
+
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Stream ticket verification error:', error.message);
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized, stream ticket invalid or expired'
+        });
+    }
+};
+
+// Vercel cron sends CRON_SECRET as a bearer token; with no secret configured the job routes stay closed
+export const requireCronSecret = (req, res, next) => {
+    const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+    const provided = Buffer.from(req.headers.authorization || '');
+
+    if (!process.env.CRON_SECRET || provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authorized to run jobs'
+        });
+    }
+
+    next();
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+// middleware/idempotency.js
+import { randomUUID } from 'crypto';
+import IdempotencyKey, { IDEMPOTENCY_WINDOW_HOURS, IDEMPOTENCY_LEASE_SECONDS } from '../models/IdempotencyKey.js';
+
+/**
+ * Make a protected route safe to retry. Clients send an Idempotency-Key header
+ * (or the given body field); the first response is stored and replayed on retries
+ * within the window, with 201 turned into 200. Failed requests are not stored,
+ * so they can be retried with the same key, and neither are requests that never
+ * finish: once a key's lease runs out, the next retry takes it over.
+ * Handlers create their document with req.idempotency.reservedId as its _id, so a
+ * takeover that races the original request fails on the duplicate instead of creating it twice.
+ */
+export const idempotent = (scope, { bodyField } = {}) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key') || (bodyField && req.body?.[bodyField]);
+
+    if (!key) {
+        return next();
+    }
+
+    if (typeof key !== 'string' || key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            message: 'Idempotency key must be a string of at most 255 characters'
+        });
+    }
+
+    const identity = { user: req.user._id, scope, key };
+    const fingerprint = `${req.method} ${req.originalUrl.split('?')[0]}`;
+
+    let record;
+    try {
+        // Keys past the window can be reused, even before MongoDB's TTL cleanup gets to them
+        const windowStart = new Date(Date.now() - IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000);
+        await IdempotencyKey.deleteOne({ ...identity, createdAt: { $lt: windowStart } });
+
+        record = await IdempotencyKey.create({ ...identity, fingerprint });
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error('❌ Idempotency key error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error processing idempotency key'
+            });
+        }
+
+        const existing = await IdempotencyKey.findOne(identity).lean();
+
+        if (existing && existing.fingerprint !== fingerprint) {
+            return res.status(422).json({
+                success: false,
+                message: 'This idempotency key was already used for a different request'
+            });
+        }
+
+        const leaseStart = new Date(Date.now() - IDEMPOTENCY_LEASE_SECONDS * 1000);
+
+        // Only one retry wins the takeover, because it replaces the lease token
+        if (existing?.status === 'processing' && existing.updatedAt < leaseStart) {
+            record = await IdempotencyKey.findOneAndUpdate(
+                { _id: existing._id, status: 'processing', leaseToken: existing.leaseToken },
+                { $set: { leaseToken: randomUUID() } },
+                { new: true }
+            );
+        }
+
+        if (record) {
+            console.log(`🔁 Taking over expired ${scope} idempotency key ${key}`);
+        } else if (!existing || existing.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this idempotency key is still being processed'
+            });
+        } else {
+            console.log(`🔁 Replaying ${scope} response for idempotency key ${key}`);
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.statusCode === 201 ? 200 : existing.statusCode).json(existing.body);
+        }
+    }
+
+    req.idempotency = { reservedId: record.reservedId };
+
+    // Store the response before it reaches the client, so an immediate retry is replayed.
+    // A request whose lease was taken over leaves the key to the request that took it.
+    const lease = { _id: record._id, leaseToken: record.leaseToken };
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        const statusCode = res.statusCode;
+        const settle = statusCode < 400
+            ? IdempotencyKey.updateOne(lease, { status: 'completed', statusCode, body })
+            : IdempotencyKey.deleteOne(lease);
+
+        settle
+            .catch(error => console.error('❌ Idempotency key error:', error))
+            .finally(() => sendJson(body));
+
+        return res;
+    };
+
+    next();
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+// middleware/upload.js
+import multer from 'multer';
+
+// Per-file size limit in megabytes
+const MAX_ATTACHMENT_SIZE_MB = parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+
+const DEFAULT_ALLOWED_MIME_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+export const ALLOWED_MIME_TYPES = process.env.ATTACHMENT_ALLOWED_MIME_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_MIME_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_MIME_TYPES;
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Leading bytes each binary type must start with; null marks plain text
+const MIME_SIGNATURES = {
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2d]],
+    'application/zip': [ZIP_SIGNATURE],
+    'application/msword': [OLE_SIGNATURE],
+    'application/vnd.ms-excel': [OLE_SIGNATURE],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [ZIP_SIGNATURE],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [ZIP_SIGNATURE],
+    'text/plain': null,
+    'text/csv': null
+};
+
+// Only these are shown inline on download; everything else, including types added through the env, is downloaded
+export const INLINE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Text files must not contain NUL bytes, which no text encoding we accept produces
+const SNIFF_TEXT_BYTES = 8192;
+
+/**
+ * Check that a buffered file's content matches its declared MIME type.
+ * Types without a known signature (added through the env list) are not sniffed.
+ */
+const matchesDeclaredType = (buffer, mimeType) => {
+    if (!(mimeType in MIME_SIGNATURES)) return true;
+
+    const signatures = MIME_SIGNATURES[mimeType];
+    if (!signatures) {
+        return !buffer.subarray(0, SNIFF_TEXT_BYTES).includes(0x00);
+    }
+
+    const matched = signatures.some(signature => signature.every((byte, index) => buffer[index] === byte));
+
+    // RIFF is a container; WebP also carries its own tag at offset 8
+    if (matched && mimeType === 'image/webp') {
+        return buffer.subarray(8, 12).toString('latin1') === 'WEBP';
+    }
+
+    return matched;
+};
+
+const upload = multer({
+    // Files are buffered so the checksum can be computed before handing them to storage
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.floor(MAX_ATTACHMENT_SIZE_MB * 1024 * 1024),
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype.toLowerCase())) {
+            const error = new Error(`File type ${file.mimetype} is not allowed`);
+            error.code = 'UNSUPPORTED_MIME_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Parse a single `file` field from a multipart request, answering upload errors as JSON
+ */
+export const uploadAttachment = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A file is required in the "file" field'
+                });
+            }
+
+            // The client's Content-Type is only a claim; the bytes have to agree with it
+            if (!matchesDeclaredType(req.file.buffer, req.file.mimetype.toLowerCase())) {
+                return res.status(415).json({
+                    success: false,
+                    message: `File content does not match its type ${req.file.mimetype}`
+                });
+            }
+            return next();
+        }
+
+        console.error('❌ Attachment upload error:', error.message);
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                message: `File cannot exceed ${MAX_ATTACHMENT_SIZE_MB} MB`
+            });
+        }
+
+        if (error.code === 'UNSUPPORTED_MIME_TYPE') {
+            return res.status(415).json({
+                success: false,
+                message: error.message,
+                allowedTypes: ALLOWED_MIME_TYPES
+            });
+        }
+
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        next(error);
+    });
+};
\ No newline at end of file
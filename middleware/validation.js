@@ -1,5 +1,21 @@
 // middleware/validation.js
 import { body, param, query, validationResult } from 'express-validator';
+import { MAX_POLL_OPTIONS } from '../utils/polls.js';
+import { REPORT_REASONS, REPORT_ACTIONS } from '../models/Report.js';
+import { AUTO_MODERATION_RULE_TYPES, AUTO_MODERATION_ACTIONS } from '../models/AutoModerationRule.js';
+import { MAX_DIRECT_PARTICIPANTS } from '../models/Group.js';
+
+// A single emoji grapheme, including skin tones, ZWJ sequences, flags and keycaps
+const graphemeSegmenter = new Intl.Segmenter();
+
+const isEmoji = (value) => {
+    if (typeof value !== 'string' || value.length === 0 || value.length > 32) {
+        return false;
+    }
+
+    const graphemes = [...graphemeSegmenter.segment(value)];
+    return graphemes.length === 1 && /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(value);
+};
 
 /**
  * Common validation rules
@@ -86,6 +102,14 @@ export const validateChangePassword = [
     })
 ];
 
+export const validateUpdatePrivacySettings = [
+    body('hideReadReceipts')
+        .exists()
+        .withMessage('hideReadReceipts is required')
+        .isBoolean({ strict: true })
+        .withMessage('hideReadReceipts must be a boolean')
+];
+
 /**
  * Validation rules for admin operations
  */
@@ -143,6 +167,17 @@ export const validateUpdateUser = [
         .withMessage('Invalid group ID format')
 ];
 
+export const validatePagination = [
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateUpdateRetentionSettings = [
+    body('maxRetentionDays')
+        .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 3650))
+        .withMessage('Maximum retention must be between 1 and 3650 days, or null for no maximum')
+];
+
 export const validateUserParams = [
     param('userId')
         .isMongoId()
@@ -206,7 +241,37 @@ export const validateUpdateGroup = [
     body('maxMembers')
         .optional()
         .isInt({ min: 1, max: 1000 })
-        .withMessage('Max members must be between 1 and 1000')
+        .withMessage('Max members must be between 1 and 1000'),
+
+    body('messageEditWindowMinutes')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 10080 })
+        .withMessage('Message edit window must be between 1 and 10080 minutes, or null for no limit'),
+
+    body('retentionDays')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 3650 })
+        .withMessage('Retention must be between 1 and 3650 days, or null to keep messages forever'),
+
+    body('allowForwarding')
+        .optional()
+        .isBoolean()
+        .withMessage('allowForwarding must be a boolean value'),
+
+    body('inheritModerationDefaults')
+        .optional()
+        .isBoolean()
+        .withMessage('inheritModerationDefaults must be a boolean value')
+];
+
+export const validateOpenDirectConversation = [
+    body('userIds')
+        .isArray({ min: 1, max: MAX_DIRECT_PARTICIPANTS - 1 })
+        .withMessage(`userIds must list between 1 and ${MAX_DIRECT_PARTICIPANTS - 1} other users`),
+
+    body('userIds.*')
+        .isMongoId()
+        .withMessage('Invalid user ID format')
 ];
 
 export const validateGroupParams = [
@@ -215,6 +280,26 @@ export const validateGroupParams = [
         .withMessage('Invalid group ID format')
 ];
 
+export const validatePinMessage = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    body('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format')
+];
+
+export const validateUnpinMessage = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format')
+];
+
 /**
  * Validation rules for message operations
  */
@@ -233,7 +318,117 @@ export const validateSendMessage = [
     body('messageType')
         .optional()
         .isIn(['text', 'image', 'file', 'system'])
-        .withMessage('Message type must be text, image, file, or system')
+        .withMessage('Message type must be text, image, file, or system'),
+
+    body('parentMessage')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid parent message ID format'),
+
+    body('quotedMessage')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid quoted message ID format'),
+
+    body('clientMessageId')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Client message ID must be a string of 1 to 255 characters')
+];
+
+export const validateUploadAttachment = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    body('content')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Caption cannot exceed 1000 characters')
+];
+
+export const validateScheduleMessage = [
+    ...validateSendMessage,
+
+    body('sendAt')
+        .notEmpty()
+        .withMessage('Send time is required')
+        .isISO8601()
+        .withMessage('Send time must be an ISO 8601 timestamp')
+];
+
+export const validateCreatePoll = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    body('question')
+        .trim()
+        .notEmpty()
+        .withMessage('Poll question is required')
+        .isLength({ max: 300 })
+        .withMessage('Poll question cannot exceed 300 characters'),
+
+    body('options')
+        .isArray({ min: 2, max: MAX_POLL_OPTIONS })
+        .withMessage(`A poll needs between 2 and ${MAX_POLL_OPTIONS} options`)
+        .custom((options) => new Set(options.map(option => String(option).trim().toLowerCase())).size === options.length)
+        .withMessage('Poll options must be unique'),
+
+    body('options.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each poll option must be between 1 and 100 characters'),
+
+    body('allowMultiple')
+        .optional()
+        .isBoolean()
+        .withMessage('allowMultiple must be a boolean value'),
+
+    body('isAnonymous')
+        .optional()
+        .isBoolean()
+        .withMessage('isAnonymous must be a boolean value'),
+
+    body('closesAt')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('Closing time must be an ISO 8601 timestamp')
+];
+
+export const validateVotePoll = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    body('optionIds')
+        .isArray({ min: 1, max: MAX_POLL_OPTIONS })
+        .withMessage('Choose at least one option'),
+
+    body('optionIds.*')
+        .isMongoId()
+        .withMessage('Invalid poll option ID format')
+];
+
+export const validateGetScheduledMessages = [
+    query('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    query('status')
+        .optional()
+        .isIn(['pending', 'sent', 'held', 'cancelled', 'failed'])
+        .withMessage('Status must be pending, sent, held, cancelled, or failed')
+];
+
+export const validateScheduledMessageParams = [
+    param('scheduledMessageId')
+        .isMongoId()
+        .withMessage('Invalid scheduled message ID format')
 ];
 
 export const validateGetMessages = [
@@ -242,7 +437,39 @@ export const validateGetMessages = [
         .withMessage('Invalid group ID format'),
     
     commonRules.page,
-    commonRules.limit
+    commonRules.limit,
+
+    query(['before', 'after'])
+        .optional()
+        .custom((value) => {
+            if (!/^[a-f\d]{24}$/i.test(value) && Number.isNaN(Date.parse(value))) {
+                throw new Error('Cursor must be a message ID or an ISO 8601 timestamp');
+            }
+            return true;
+        }),
+
+    query('around')
+        .optional()
+        .isMongoId()
+        .withMessage('Around must be a valid message ID'),
+
+    query().custom((value, { req }) => {
+        const cursors = ['before', 'after', 'around'].filter(key => req.query[key]);
+        if (cursors.length > 1) {
+            throw new Error('Use only one of before, after or around');
+        }
+        return true;
+    })
+];
+
+export const validateForwardMessage = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    body('groupId')
+        .isMongoId()
+        .withMessage('Invalid target group ID format')
 ];
 
 export const validateMessageParams = [
@@ -251,6 +478,15 @@ export const validateMessageParams = [
         .withMessage('Invalid message ID format')
 ];
 
+export const validateGetThread = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
 export const validateEditMessage = [
     param('messageId')
         .isMongoId()
@@ -264,6 +500,358 @@ export const validateEditMessage = [
         .withMessage('Message must be between 1 and 1000 characters')
 ];
 
+export const validateStreamMessages = [
+    query('groups')
+        .optional()
+        .custom((value) => {
+            const groupIds = value.split(',').filter(Boolean);
+            if (groupIds.length === 0 || !groupIds.every(id => /^[a-f\d]{24}$/i.test(id))) {
+                throw new Error('Groups must be a comma-separated list of valid group IDs');
+            }
+            return true;
+        })
+];
+
+export const validateAddReaction = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    body('emoji')
+        .custom(isEmoji)
+        .withMessage('Emoji must be a single emoji character')
+];
+
+export const validateRemoveReaction = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    param('emoji')
+        .custom(isEmoji)
+        .withMessage('Emoji must be a single emoji character')
+];
+
+const searchRules = [
+    query('q')
+        .trim()
+        .notEmpty()
+        .withMessage('Search query is required')
+        .isLength({ max: 100 })
+        .withMessage('Search query cannot exceed 100 characters'),
+
+    query('sender')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid sender ID format'),
+
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601 timestamps'),
+
+    query('messageType')
+        .optional()
+        .isIn(['text', 'image', 'file', 'system'])
+        .withMessage('Message type must be text, image, file, or system'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateSearchMessages = [...searchRules];
+
+export const validateGetMentions = [
+    query('unread')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('Unread must be true or false'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateSearchGroupMessages = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    ...searchRules
+];
+
+export const validateBulkPurge = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    body('sender')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid sender ID format'),
+
+    body(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be ISO 8601 timestamps'),
+
+    body('pattern')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Content pattern must be between 1 and 200 characters'),
+
+    body('messageType')
+        .optional()
+        .isIn(['text', 'image', 'file', 'system', 'poll'])
+        .withMessage('Message type must be text, image, file, system, or poll'),
+
+    body('dryRun')
+        .optional()
+        .isBoolean()
+        .withMessage('dryRun must be a boolean value'),
+
+    // Never purge a whole group by accident
+    body()
+        .custom(({ sender, from, to, pattern, messageType }) => Boolean(sender || from || to || pattern || messageType))
+        .withMessage('At least one filter is required: sender, from, to, pattern or messageType')
+];
+
+const reportQueueRules = [
+    query('status')
+        .optional()
+        .isIn(['open', 'resolved'])
+        .withMessage('Status must be open or resolved'),
+
+    query('reason')
+        .optional()
+        .isIn(REPORT_REASONS)
+        .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateReportMessage = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    body('reason')
+        .isIn(REPORT_REASONS)
+        .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+    body('note')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Note cannot exceed 1000 characters')
+];
+
+export const validateGetGroupReports = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    ...reportQueueRules
+];
+
+export const validateGetAllReports = [
+    query('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    ...reportQueueRules
+];
+
+export const validateReportParams = [
+    param('reportId')
+        .isMongoId()
+        .withMessage('Invalid report ID format')
+];
+
+export const validateResolveReport = [
+    ...validateReportParams,
+
+    body('action')
+        .isIn(REPORT_ACTIONS)
+        .withMessage(`Action must be one of: ${REPORT_ACTIONS.join(', ')}`),
+
+    body('note')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Note cannot exceed 1000 characters')
+];
+
+// Group routes carry a groupId; the admin routes for system-wide rules do not
+const moderationScopeRules = [
+    param('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid group ID format')
+];
+
+// Type-specific settings; which ones a rule needs is checked against its type in the controller
+const moderationRuleSettingsRules = [
+    body('isEnabled')
+        .optional()
+        .isBoolean()
+        .withMessage('isEnabled must be a boolean value'),
+
+    body('words')
+        .optional()
+        .isArray({ max: 200 })
+        .withMessage('Words must be an array of at most 200 entries'),
+
+    body('words.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each word must be between 1 and 100 characters'),
+
+    body('pattern')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Pattern must be between 1 and 200 characters'),
+
+    body('allowedDomains')
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('Allowed domains must be an array of at most 100 entries'),
+
+    body('allowedDomains.*')
+        .isFQDN()
+        .withMessage('Each allowed domain must be a valid domain name'),
+
+    body('maxMentions')
+        .optional({ values: 'null' })
+        .isInt({ min: 0, max: 100 })
+        .withMessage('maxMentions must be between 0 and 100'),
+
+    body('floodMaxRepeats')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 100 })
+        .withMessage('floodMaxRepeats must be between 1 and 100'),
+
+    body('floodWindowSeconds')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 86400 })
+        .withMessage('floodWindowSeconds must be between 1 and 86400'),
+
+    body('capsRatio')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0, max: 1 })
+        .withMessage('capsRatio must be between 0 and 1'),
+
+    body('capsMinLength')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('capsMinLength must be between 1 and 1000')
+];
+
+export const validateCreateModerationRule = [
+    ...moderationScopeRules,
+
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Rule name must be between 1 and 100 characters'),
+
+    body('type')
+        .isIn(AUTO_MODERATION_RULE_TYPES)
+        .withMessage(`Type must be one of: ${AUTO_MODERATION_RULE_TYPES.join(', ')}`),
+
+    body('action')
+        .isIn(AUTO_MODERATION_ACTIONS)
+        .withMessage(`Action must be one of: ${AUTO_MODERATION_ACTIONS.join(', ')}`),
+
+    ...moderationRuleSettingsRules
+];
+
+export const validateModerationRuleParams = [
+    ...moderationScopeRules,
+
+    param('ruleId')
+        .isMongoId()
+        .withMessage('Invalid rule ID format')
+];
+
+export const validateUpdateModerationRule = [
+    ...validateModerationRuleParams,
+
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Rule name must be between 1 and 100 characters'),
+
+    body('type')
+        .not()
+        .exists()
+        .withMessage('Rule type cannot be changed; create a new rule instead'),
+
+    body('action')
+        .optional()
+        .isIn(AUTO_MODERATION_ACTIONS)
+        .withMessage(`Action must be one of: ${AUTO_MODERATION_ACTIONS.join(', ')}`),
+
+    ...moderationRuleSettingsRules
+];
+
+export const validateGetModerationLogs = [
+    ...moderationScopeRules,
+
+    query('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    query('ruleId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid rule ID format'),
+
+    query('outcome')
+        .optional()
+        .isIn(['rejected', 'masked', 'held'])
+        .withMessage('Outcome must be one of: rejected, masked, held'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateGetHeldMessages = [
+    param('groupId')
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected'])
+        .withMessage('Status must be one of: pending, approved, rejected'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
+export const validateReviewHeldMessage = [
+    param('heldMessageId')
+        .isMongoId()
+        .withMessage('Invalid held message ID format'),
+
+    body('decision')
+        .isIn(['approve', 'reject'])
+        .withMessage('Decision must be approve or reject'),
+
+    body('note')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Note cannot exceed 1000 characters')
+];
+
 export const validateMarkMessagesRead = [
     param('groupId')
         .isMongoId()
@@ -304,6 +892,40 @@ export const validateGroupMemberParams = [
         .withMessage('Invalid user ID format')
 ];
 
+export const validateMuteMember = [
+    ...validateGroupMemberParams,
+
+    body('minutes')
+        .isInt({ min: 1, max: 10080 })
+        .withMessage('Mute duration must be between 1 and 10080 minutes')
+];
+
+/**
+ * Validation rules for bookmark operations
+ */
+export const validateSaveBookmark = [
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID format'),
+
+    body('note')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Note must be a string')
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters')
+];
+
+export const validateGetBookmarks = [
+    query('groupId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid group ID format'),
+
+    commonRules.page,
+    commonRules.limit
+];
+
 /**
  * Validation rules for activity tracking
  */
@@ -0,0 +1,78 @@
+// models/AutoModerationLog.js
+import mongoose from 'mongoose';
+
+// One record per rule hit on a sent or edited message
+const autoModerationLogSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AutoModerationRule',
+        required: true
+    },
+    // Copied from the rule, which may be changed or deleted later
+    ruleName: {
+        type: String,
+        required: true
+    },
+    ruleType: {
+        type: String,
+        required: true
+    },
+    ruleScope: {
+        type: String,
+        enum: ['group', 'system'],
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['reject', 'mask', 'review'],
+        required: true
+    },
+    // What happened to the message once every rule had run
+    outcome: {
+        type: String,
+        enum: ['rejected', 'masked', 'held'],
+        required: true
+    },
+    event: {
+        type: String,
+        enum: ['send', 'edit'],
+        required: true
+    },
+    // Content as submitted, before any masking
+    content: {
+        type: String,
+        required: true
+    },
+    matches: [{
+        type: String
+    }],
+    // The saved message (masked sends, edits) and the held copy (reviews)
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    heldMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HeldMessage',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+autoModerationLogSchema.index({ group: 1, createdAt: -1 });
+autoModerationLogSchema.index({ rule: 1, createdAt: -1 });
+
+// Export the model
+export default mongoose.models.AutoModerationLog || mongoose.model('AutoModerationLog', autoModerationLogSchema);
\ No newline at end of file
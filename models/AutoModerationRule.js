@@ -0,0 +1,101 @@
+// models/AutoModerationRule.js
+import mongoose from 'mongoose';
+
+export const AUTO_MODERATION_RULE_TYPES = ['banned_words', 'regex', 'links', 'max_mentions', 'flood', 'caps_ratio'];
+export const AUTO_MODERATION_ACTIONS = ['reject', 'mask', 'review'];
+
+// Only rules that match a span of text can mask it
+export const MASKABLE_RULE_TYPES = ['banned_words', 'regex', 'links'];
+
+const autoModerationRuleSchema = new mongoose.Schema({
+    // Owning group; null for system-wide defaults set by platform admins
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        default: null
+    },
+    name: {
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [100, 'Rule name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: AUTO_MODERATION_RULE_TYPES,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: AUTO_MODERATION_ACTIONS,
+        required: true
+    },
+    isEnabled: {
+        type: Boolean,
+        default: true
+    },
+    // banned_words: matched case-insensitively as whole words
+    words: [{
+        type: String,
+        trim: true,
+        maxlength: [100, 'Banned words cannot exceed 100 characters']
+    }],
+    // regex
+    pattern: {
+        type: String,
+        default: null,
+        maxlength: [200, 'Pattern cannot exceed 200 characters']
+    },
+    // links: hosts (and their subdomains) that are still allowed
+    allowedDomains: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // max_mentions
+    maxMentions: {
+        type: Number,
+        default: null,
+        min: [0, 'Maximum mentions cannot be negative']
+    },
+    // flood: the same content this many times within the window
+    floodMaxRepeats: {
+        type: Number,
+        default: null,
+        min: [1, 'Flood repeats must be at least 1']
+    },
+    floodWindowSeconds: {
+        type: Number,
+        default: null,
+        min: [1, 'Flood window must be at least 1 second']
+    },
+    // caps_ratio: share of uppercase letters, ignored below the minimum letter count
+    capsRatio: {
+        type: Number,
+        default: null,
+        min: [0, 'Caps ratio must be between 0 and 1'],
+        max: [1, 'Caps ratio must be between 0 and 1']
+    },
+    capsMinLength: {
+        type: Number,
+        default: 10,
+        min: [1, 'Caps minimum length must be at least 1']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+autoModerationRuleSchema.index({ group: 1, isEnabled: 1 });
+
+// Export the model
+export default mongoose.models.AutoModerationRule || mongoose.model('AutoModerationRule', autoModerationRuleSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+// models/Bookmark.js
+import mongoose from 'mongoose';
+
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    // Copied from the message so bookmarks can be filtered by group
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters'],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One bookmark per user per message
+bookmarkSchema.index({ user: 1, message: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ user: 1, group: 1, createdAt: -1 });
+
+export default mongoose.models.Bookmark || mongoose.model('Bookmark', bookmarkSchema);
\ No newline at end of file
@@ -1,10 +1,24 @@
 // models/Group.js
 import mongoose from 'mongoose';
 
+// Most participants in a direct conversation, including its creator
+export const MAX_DIRECT_PARTICIPANTS = parseInt(process.env.MAX_DIRECT_PARTICIPANTS) || 10;
+
+// Identifies a direct conversation by its participants, whatever order they are given in
+export const buildParticipantKey = (userIds) => {
+    return [...new Set(userIds.map(id => id.toString()))].sort().join(':');
+};
+
 const groupSchema = new mongoose.Schema({
+    // Named groups, or direct conversations (1:1 and small unnamed group DMs)
+    type: {
+        type: String,
+        enum: ['group', 'direct'],
+        default: 'group'
+    },
     name: {
         type: String,
-        required: [true, 'Group name is required'],
+        required: [function() { return this.type !== 'direct'; }, 'Group name is required'],
         trim: true,
         maxlength: [100, 'Group name cannot exceed 100 characters']
     },
@@ -25,6 +39,33 @@ const groupSchema = new mongoose.Schema({
         type: Number,
         default: 50
     },
+    // Minutes after sending during which a message can be edited (null = no limit)
+    messageEditWindowMinutes: {
+        type: Number,
+        default: null,
+        min: [1, 'Edit window must be at least 1 minute']
+    },
+    // Days to keep messages before the retention job deletes them (null = forever)
+    retentionDays: {
+        type: Number,
+        default: null,
+        min: [1, 'Retention must be at least 1 day']
+    },
+    // Whether members may forward messages out of this group (enforced for private groups)
+    allowForwarding: {
+        type: Boolean,
+        default: true
+    },
+    // Whether the system-wide auto-moderation rules apply on top of the group's own
+    inheritModerationDefaults: {
+        type: Boolean,
+        default: true
+    },
+    // Direct conversations only: sorted participant ids, so each set of users has one conversation
+    participantKey: {
+        type: String,
+        default: undefined
+    },
     // ADD THIS: For private group invitations
     invitedUsers: [{
         user: {
@@ -49,5 +90,10 @@ const groupSchema = new mongoose.Schema({
     timestamps: true
 });
 
+groupSchema.index(
+    { participantKey: 1 },
+    { unique: true, partialFilterExpression: { participantKey: { $type: 'string' } } }
+);
+
 // Export the model
 export default mongoose.models.Group || mongoose.model('Group', groupSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+// models/GroupEvent.js
+import mongoose from 'mongoose';
+
+// Entries only need to outlive delivery to the instances watching the collection
+const GROUP_EVENT_TTL_SECONDS = 5 * 60;
+
+// Live group event, shared between app instances through a change stream
+const groupEventSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+groupEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: GROUP_EVENT_TTL_SECONDS });
+
+export default mongoose.models.GroupEvent || mongoose.model('GroupEvent', groupEventSchema);
\ No newline at end of file
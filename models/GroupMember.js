@@ -24,6 +24,51 @@ const groupMemberSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Read cursor: everything up to and including this message has been read
+    lastReadMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    lastReadMessageAt: {
+        type: Date,
+        default: null
+    },
+    // When the cursor last moved
+    lastReadAt: {
+        type: Date,
+        default: null
+    },
+    // Muted members can read but not post until this time
+    mutedUntil: {
+        type: Date,
+        default: null
+    },
+    mutedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Moderator warnings from resolved reports; not shown in member lists
+    warnings: {
+        type: [{
+            reason: String,
+            note: String,
+            report: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Report'
+            },
+            warnedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            warnedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
     }
 }, {
     timestamps: true
@@ -32,5 +77,8 @@ const groupMemberSchema = new mongoose.Schema({
 // Compound index to ensure unique membership
 groupMemberSchema.index({ user: 1, group: 1 }, { unique: true });
 
+// Seen-by lookups: which members' cursors are at or past a message
+groupMemberSchema.index({ group: 1, lastReadMessageAt: -1 });
+
 // Export the model
 export default mongoose.models.GroupMember || mongoose.model('GroupMember', groupMemberSchema);
\ No newline at end of file
@@ -0,0 +1,109 @@
+// models/HeldMessage.js
+import mongoose from 'mongoose';
+
+// A send or edit held back by auto-moderation until a moderator reviews it
+const heldMessageSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    event: {
+        type: String,
+        enum: ['send', 'edit'],
+        required: true
+    },
+    // Content to publish on approval, with any masks already applied
+    content: {
+        type: String,
+        required: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    messageType: {
+        type: String,
+        enum: ['text', 'image', 'file', 'poll'],
+        default: 'text'
+    },
+    // Sends only: the rest of the message as it will be published
+    poll: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    forwardedFrom: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    // Uploaded or copied file, kept in storage until the review; removed on rejection
+    attachment: {
+        type: {
+            filename: String,
+            size: Number,
+            mimeType: String,
+            checksum: String,
+            storageDriver: {
+                type: String,
+                select: false
+            },
+            storageKey: {
+                type: String,
+                select: false
+            }
+        },
+        default: undefined
+    },
+    parentMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    quotedMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Edits: the message the new content is for. Sends: the message created on approval
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Rules that sent this message to review
+    rules: [{
+        rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AutoModerationRule'
+        },
+        name: String
+    }],
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: {
+        type: Date,
+        default: null
+    },
+    reviewNote: {
+        type: String,
+        default: null,
+        maxlength: [1000, 'Note cannot exceed 1000 characters']
+    }
+}, {
+    timestamps: true
+});
+
+heldMessageSchema.index({ group: 1, status: 1, createdAt: 1 });
+
+// Export the model
+export default mongoose.models.HeldMessage || mongoose.model('HeldMessage', heldMessageSchema);
\ No newline at end of file
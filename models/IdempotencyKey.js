@@ -0,0 +1,66 @@
+// models/IdempotencyKey.js
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+
+// How long a key is remembered; a retry after this is treated as a new request
+export const IDEMPOTENCY_WINDOW_HOURS = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+
+// How long a key may stay 'processing' before a retry can take it over, e.g. after a crash mid-request
+export const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Which operation the key belongs to, e.g. 'message.send'
+    scope: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+    },
+    // Method and URL of the first request, so a key can't be replayed against another one
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    // Changes on every takeover; only the request holding the current token may settle the key
+    leaseToken: {
+        type: String,
+        default: () => randomUUID()
+    },
+    // _id for what the request creates, kept across takeovers so a second run can't create it again
+    reservedId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: () => new mongoose.Types.ObjectId()
+    },
+    // Response of the first request, replayed on retries
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    body: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One key per user per operation
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB clean up keys once the window has passed
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: Math.round(IDEMPOTENCY_WINDOW_HOURS * 60 * 60) });
+
+export default mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
\ No newline at end of file
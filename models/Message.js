@@ -1,5 +1,6 @@
 // models/Message.js
 import mongoose from 'mongoose';
+import { MAX_POLL_OPTIONS } from '../utils/polls.js';
 
 const messageSchema = new mongoose.Schema({
     content: {
@@ -20,15 +21,250 @@ const messageSchema = new mongoose.Schema({
     },
     messageType: {
         type: String,
-        enum: ['text', 'image', 'file', 'system'],
+        enum: ['text', 'image', 'file', 'system', 'poll'],
         default: 'text'
     },
-    readBy: [{
+    // File metadata for image and file messages; content holds the caption
+    attachment: {
+        type: {
+            filename: {
+                type: String,
+                required: true,
+                maxlength: [255, 'Filename cannot exceed 255 characters']
+            },
+            size: {
+                type: Number,
+                required: true
+            },
+            mimeType: {
+                type: String,
+                required: true
+            },
+            checksum: {
+                type: String,
+                required: true
+            },
+            storageDriver: {
+                type: String,
+                required: true,
+                select: false
+            },
+            storageKey: {
+                type: String,
+                required: true,
+                select: false
+            }
+        },
+        default: undefined
+    },
+    // Set on forwarded copies, pointing back at the original message
+    forwardedFrom: {
+        type: {
+            message: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+                required: true
+            },
+            sender: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            group: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Group',
+                required: true
+            },
+            createdAt: {
+                type: Date,
+                required: true
+            }
+        },
+        default: undefined
+    },
+    // Snapshot of a quoted earlier message, kept as it was when quoted
+    quotedMessage: {
+        type: {
+            message: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+                required: true
+            },
+            sender: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            snippet: {
+                type: String,
+                required: true
+            },
+            createdAt: {
+                type: Date,
+                required: true
+            }
+        },
+        default: undefined
+    },
+    // Poll messages only; content holds the question
+    poll: {
+        type: {
+            question: {
+                type: String,
+                required: true,
+                trim: true,
+                maxlength: [300, 'Poll question cannot exceed 300 characters']
+            },
+            options: {
+                type: [{
+                    text: {
+                        type: String,
+                        required: true,
+                        trim: true,
+                        maxlength: [100, 'Poll option cannot exceed 100 characters']
+                    }
+                }],
+                validate: {
+                    validator: (options) => options.length >= 2 && options.length <= MAX_POLL_OPTIONS,
+                    message: `A poll needs between 2 and ${MAX_POLL_OPTIONS} options`
+                }
+            },
+            allowMultiple: {
+                type: Boolean,
+                default: false
+            },
+            isAnonymous: {
+                type: Boolean,
+                default: false
+            },
+            closesAt: {
+                type: Date,
+                default: null
+            },
+            closedAt: {
+                type: Date,
+                default: null
+            },
+            closedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            // One entry per voter; only loaded where results are tallied
+            votes: {
+                type: [{
+                    user: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: 'User',
+                        required: true
+                    },
+                    options: [{
+                        type: mongoose.Schema.Types.ObjectId
+                    }],
+                    votedAt: {
+                        type: Date,
+                        default: Date.now
+                    }
+                }],
+                select: false
+            }
+        },
+        default: undefined
+    },
+    // Pinned by a group admin or moderator
+    pinnedAt: {
+        type: Date,
+        default: null
+    },
+    pinnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Set on replies; threads are one level deep
+    parentMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    lastReplyAt: {
+        type: Date,
+        default: null
+    },
+    isEdited: {
+        type: Boolean,
+        default: false
+    },
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    // Previous revisions, oldest first; only loaded for the history endpoint
+    editHistory: {
+        type: [{
+            content: {
+                type: String,
+                required: true
+            },
+            revisedAt: {
+                type: Date,
+                required: true
+            },
+            replacedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        select: false
+    },
+    // Users resolved from @name, @email, @everyone and @here tokens
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Soft delete: content is replaced by a tombstone, the original kept for group admins
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    deletedByRole: {
+        type: String,
+        enum: ['sender', 'admin', null],
+        default: null
+    },
+    deletedContent: {
+        type: String,
+        select: false
+    },
+    deletedAttachment: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
+    },
+    // One entry per user per emoji
+    reactions: [{
+        emoji: {
+            type: String,
+            required: true
+        },
         user: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'User'
+            ref: 'User',
+            required: true
         },
-        readAt: {
+        reactedAt: {
             type: Date,
             default: Date.now
         }
@@ -40,6 +276,12 @@ const messageSchema = new mongoose.Schema({
 // Index for better query performance
 messageSchema.index({ group: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
+messageSchema.index({ group: 1, parentMessage: 1, createdAt: -1 });
+messageSchema.index({ parentMessage: 1, createdAt: 1 });
+messageSchema.index({ isDeleted: 1, deletedAt: 1 });
+messageSchema.index({ content: 'text' });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ group: 1, pinnedAt: -1 });
 
 // Export the model
 export default mongoose.models.Message || mongoose.model('Message', messageSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+// models/PurgeLog.js
+import mongoose from 'mongoose';
+
+// Audit record of a moderator bulk purge
+const purgeLogSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Filters exactly as requested
+    filters: {
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        from: {
+            type: Date,
+            default: null
+        },
+        to: {
+            type: Date,
+            default: null
+        },
+        pattern: {
+            type: String,
+            default: null
+        },
+        messageType: {
+            type: String,
+            default: null
+        }
+    },
+    matchedCount: {
+        type: Number,
+        default: 0
+    },
+    deletedCount: {
+        type: Number,
+        default: 0
+    },
+    // Ids of the messages turned into tombstones by this purge
+    messages: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    }]
+}, {
+    timestamps: true
+});
+
+purgeLogSchema.index({ group: 1, createdAt: -1 });
+
+export default mongoose.models.PurgeLog || mongoose.model('PurgeLog', purgeLogSchema);
\ No newline at end of file
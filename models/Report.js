@@ -0,0 +1,104 @@
+// models/Report.js
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'misinformation', 'other'];
+
+// How a moderator can resolve a report
+export const REPORT_ACTIONS = ['dismiss', 'delete_message', 'warn', 'remove_member'];
+
+const reportSchema = new mongoose.Schema({
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: [true, 'Report reason is required']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Note cannot exceed 1000 characters'],
+        default: null
+    },
+    // The message as it was when reported, so the report survives edits and deletion
+    messageSnapshot: {
+        content: String,
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        messageType: String,
+        createdAt: Date
+    },
+    status: {
+        type: String,
+        enum: ['open', 'resolved'],
+        default: 'open'
+    },
+    resolution: {
+        type: {
+            action: {
+                type: String,
+                enum: REPORT_ACTIONS,
+                required: true
+            },
+            note: {
+                type: String,
+                default: null
+            },
+            resolvedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            resolvedAt: {
+                type: Date,
+                default: Date.now
+            }
+        },
+        default: undefined
+    },
+    // Every step taken on the report, oldest first
+    history: [{
+        action: {
+            type: String,
+            enum: ['reported', ...REPORT_ACTIONS],
+            required: true
+        },
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        note: {
+            type: String,
+            default: null
+        },
+        performedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// A member can report a message once
+reportSchema.index({ message: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ group: 1, status: 1, createdAt: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.models.Report || mongoose.model('Report', reportSchema);
\ No newline at end of file
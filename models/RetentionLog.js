@@ -0,0 +1,46 @@
+// models/RetentionLog.js
+import mongoose from 'mongoose';
+
+const retentionLogSchema = new mongoose.Schema({
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: {
+        type: Date,
+        required: true
+    },
+    maxRetentionDays: {
+        type: Number,
+        default: null
+    },
+    totalDeleted: {
+        type: Number,
+        default: 0
+    },
+    // One entry per group that had expired messages
+    groups: [{
+        group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Group'
+        },
+        groupName: String,
+        retentionDays: Number,
+        cutoff: Date,
+        deletedCount: Number
+    }],
+    failures: [{
+        group: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Group'
+        },
+        message: String
+    }]
+}, {
+    timestamps: true
+});
+
+retentionLogSchema.index({ startedAt: -1 });
+
+// Export the model
+export default mongoose.models.RetentionLog || mongoose.model('RetentionLog', retentionLogSchema);
\ No newline at end of file
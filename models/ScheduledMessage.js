@@ -0,0 +1,78 @@
+// models/ScheduledMessage.js
+import mongoose from 'mongoose';
+
+const scheduledMessageSchema = new mongoose.Schema({
+    content: {
+        type: String,
+        required: [true, 'Message content is required'],
+        trim: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    messageType: {
+        type: String,
+        enum: ['text', 'image', 'file', 'system'],
+        default: 'text'
+    },
+    parentMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    quotedMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    sendAt: {
+        type: Date,
+        required: [true, 'Send time is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'held', 'cancelled', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Reserved before the first send attempt; the message created under it once delivered
+    sentMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Set instead of sentMessage when auto-moderation held the message for review
+    heldMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HeldMessage',
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    },
+    failureReason: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Dispatcher picks up due messages; users list their own pending ones
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+// Export the model
+export default mongoose.models.ScheduledMessage || mongoose.model('ScheduledMessage', scheduledMessageSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+// models/SystemSettings.js
+import mongoose from 'mongoose';
+
+const systemSettingsSchema = new mongoose.Schema({
+    // Single settings document, looked up by this key
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+    // No group keeps messages longer than this many days (null = no maximum)
+    maxRetentionDays: {
+        type: Number,
+        default: null,
+        min: [1, 'Maximum retention must be at least 1 day']
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Get the settings document, creating it with defaults on first use
+systemSettingsSchema.statics.getSettings = async function() {
+    return this.findOneAndUpdate(
+        { key: 'global' },
+        { $setOnInsert: { key: 'global' } },
+        { new: true, upsert: true }
+    );
+};
+
+// Export the model
+export default mongoose.models.SystemSettings || mongoose.model('SystemSettings', systemSettingsSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+// models/TypingIndicator.js
+import mongoose from 'mongoose';
+
+// Who is typing where, shared by every app instance
+const typingIndicatorSchema = new mongoose.Schema({
+    group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+typingIndicatorSchema.index({ group: 1, user: 1 }, { unique: true });
+
+// MongoDB removes expired entries within about a minute; reads filter on expiresAt until then
+typingIndicatorSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.TypingIndicator || mongoose.model('TypingIndicator', typingIndicatorSchema);
\ No newline at end of file
@@ -41,6 +41,13 @@ const userSchema = new mongoose.Schema({
     lastActive: {
         type: Date,
         default: Date.now
+    },
+    privacy: {
+        // Leave this user out of read receipts and seen-by lists
+        hideReadReceipts: {
+            type: Boolean,
+            default: false
+        }
     }
     // Remove socketId field
 }, {
@@ -67,10 +74,15 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Users seen within this window count as online
+export const ACTIVE_WINDOW_MINUTES = 5;
+
+// Start of the online window, for queries on lastActive
+export const getActiveSince = () => new Date(Date.now() - ACTIVE_WINDOW_MINUTES * 60 * 1000);
+
 // Method to check if user is currently active (online in last 5 minutes)
 userSchema.methods.isCurrentlyActive = function() {
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    return this.lastActive > fiveMinutesAgo;
+    return this.lastActive > getActiveSince();
 };
 
 export default mongoose.models.User || mongoose.model('User', userSchema);
\ No newline at end of file
@@ -7,6 +7,16 @@ import './Group.js';
 import './Message.js';
 import './GroupMember.js';
 import './Status.js';
+import './ScheduledMessage.js';
+import './SystemSettings.js';
+import './RetentionLog.js';
+import './Bookmark.js';
+import './IdempotencyKey.js';
+import './PurgeLog.js';
+import './Report.js';
+import './AutoModerationRule.js';
+import './AutoModerationLog.js';
+import './HeldMessage.js';
 
 console.log('✅ All models loaded successfully');
 
@@ -14,4 +24,14 @@ export { default as User } from './User.js';
 export { default as Group } from './Group.js';
 export { default as Message } from './Message.js';
 export { default as GroupMember } from './GroupMember.js';
-export { default as Status } from './Status.js';
\ No newline at end of file
+export { default as Status } from './Status.js';
+export { default as ScheduledMessage } from './ScheduledMessage.js';
+export { default as SystemSettings } from './SystemSettings.js';
+export { default as RetentionLog } from './RetentionLog.js';
+export { default as Bookmark } from './Bookmark.js';
+export { default as IdempotencyKey } from './IdempotencyKey.js';
+export { default as PurgeLog } from './PurgeLog.js';
+export { default as Report } from './Report.js';
+export { default as AutoModerationRule } from './AutoModerationRule.js';
+export { default as AutoModerationLog } from './AutoModerationLog.js';
+export { default as HeldMessage } from './HeldMessage.js';
\ No newline at end of file
@@ -6,12 +6,30 @@ import {
     getAllUsers,
     updateUser,
     deleteUser,
-    getUserById
+    getUserById,
+    getRetentionSettings,
+    updateRetentionSettings,
+    getRetentionLogs,
+    getReports
 } from '../controllers/adminController.js';
+import {
+    getModerationRules,
+    createModerationRule,
+    updateModerationRule,
+    deleteModerationRule,
+    getModerationLogs
+} from '../controllers/autoModerationController.js';
 import { 
     validateCreateUser,
     validateUpdateUser,
     validateUserParams,
+    validateUpdateRetentionSettings,
+    validatePagination,
+    validateGetAllReports,
+    validateCreateModerationRule,
+    validateUpdateModerationRule,
+    validateModerationRuleParams,
+    validateGetModerationLogs,
     handleValidationErrors 
 } from '../middleware/validation.js';
 import { protect } from '../middleware/auth.js';
@@ -51,4 +69,53 @@ router.delete('/users/:userId',
 // Group management routes
 router.get('/groups', getAllGroups);
 
+// Message retention routes
+router.get('/retention', getRetentionSettings);
+
+router.put('/retention',
+    validateUpdateRetentionSettings,
+    handleValidationErrors,
+    updateRetentionSettings
+);
+
+router.get('/retention/logs',
+    validatePagination,
+    handleValidationErrors,
+    getRetentionLogs
+);
+
+// Moderation routes
+router.get('/reports',
+    validateGetAllReports,
+    handleValidationErrors,
+    getReports
+);
+
+// System-wide auto-moderation defaults; groups inherit these unless they opt out
+router.get('/moderation-rules', getModerationRules);
+
+router.post('/moderation-rules',
+    validateCreateModerationRule,
+    handleValidationErrors,
+    createModerationRule
+);
+
+router.put('/moderation-rules/:ruleId',
+    validateUpdateModerationRule,
+    handleValidationErrors,
+    updateModerationRule
+);
+
+router.delete('/moderation-rules/:ruleId',
+    validateModerationRuleParams,
+    handleValidationErrors,
+    deleteModerationRule
+);
+
+router.get('/moderation-logs',
+    validateGetModerationLogs,
+    handleValidationErrors,
+    getModerationLogs
+);
+
 export default router;
\ No newline at end of file
@@ -4,12 +4,15 @@ import {
     signup, 
     login,
     getProfile,
-    changePassword 
+    changePassword,
+    updatePrivacySettings,
+    createStreamTicket
 } from '../controllers/authController.js';
 import { 
     validateSignup, 
     validateLogin,
     validateChangePassword,
+    validateUpdatePrivacySettings,
     handleValidationErrors 
 } from '../middleware/validation.js';
 import { protect } from '../middleware/auth.js';
@@ -32,6 +35,8 @@ router.post('/login',
 // Protected routes
 router.get('/profile', protect, getProfile);
 
+router.post('/stream-ticket', protect, createStreamTicket);
+
 router.put('/change-password', 
     protect,
     validateChangePassword,
@@ -39,4 +44,11 @@ router.put('/change-password',
     changePassword
 );
 
+router.put('/privacy',
+    protect,
+    validateUpdatePrivacySettings,
+    handleValidationErrors,
+    updatePrivacySettings
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,39 @@
+// routes/bookmarkRoutes.js
+import express from 'express';
+import {
+    saveBookmark,
+    removeBookmark,
+    getBookmarks
+} from '../controllers/bookmarkController.js';
+import {
+    validateGetBookmarks,
+    validateSaveBookmark,
+    validateMessageParams,
+    handleValidationErrors
+} from '../middleware/validation.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All bookmark routes are protected
+router.use(protect);
+
+router.get('/',
+    validateGetBookmarks,
+    handleValidationErrors,
+    getBookmarks
+);
+
+router.put('/:messageId',
+    validateSaveBookmark,
+    handleValidationErrors,
+    saveBookmark
+);
+
+router.delete('/:messageId',
+    validateMessageParams,
+    handleValidationErrors,
+    removeBookmark
+);
+
+export default router;
\ No newline at end of file
@@ -4,15 +4,19 @@ import {
     inviteToGroup,
     acceptInvitation,
     getGroupMembers,
-    removeMember
+    removeMember,
+    muteMember,
+    unmuteMember
 } from '../controllers/groupMemberController.js';
 import { 
     validateInviteToGroup,
     validateGroupMemberParams,
     validateGroupParams,
+    validateMuteMember,
     handleValidationErrors 
 } from '../middleware/validation.js';
 import { protect } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -21,6 +25,7 @@ router.use(protect);
 router.post('/:groupId/invite',
     validateInviteToGroup,
     handleValidationErrors,
+    idempotent('group.invite'),
     inviteToGroup
 );
 
@@ -42,4 +47,16 @@ router.delete('/:groupId/members/:userId',
     removeMember
 );
 
+router.put('/:groupId/members/:userId/mute',
+    validateMuteMember,
+    handleValidationErrors,
+    muteMember
+);
+
+router.delete('/:groupId/members/:userId/mute',
+    validateGroupMemberParams,
+    handleValidationErrors,
+    unmuteMember
+);
+
 export default router;
\ No newline at end of file
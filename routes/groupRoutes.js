@@ -2,7 +2,9 @@
 import express from 'express';
 import {
     createGroup,
+    openDirectConversation,
     getUserGroups,
+    getInbox,
     getMainChat,
     getGroupDetails,
     getAllPublicGroups,
@@ -12,15 +14,39 @@ import {
     updateGroup,
     updateGroupPublic,
     deleteGroup,
-    deleteGroupPublic
+    deleteGroupPublic,
+    getGroupPins,
+    pinMessage,
+    unpinMessage
 } from '../controllers/groupController.js';
+import {
+    getModerationRules,
+    createModerationRule,
+    updateModerationRule,
+    deleteModerationRule,
+    getModerationLogs
+} from '../controllers/autoModerationController.js';
+import {
+    startTypingInGroup,
+    stopTypingInGroup,
+    getGroupTyping,
+    getOnlineMembers
+} from '../controllers/presenceController.js';
 import { 
     validateCreateGroup,
     validateUpdateGroup,
     validateGroupParams,
+    validateOpenDirectConversation,
+    validatePinMessage,
+    validateUnpinMessage,
+    validateCreateModerationRule,
+    validateUpdateModerationRule,
+    validateModerationRuleParams,
+    validateGetModerationLogs,
     handleValidationErrors 
 } from '../middleware/validation.js';
 import { protect } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -53,18 +79,98 @@ router.use(protect);
 router.post('/', 
     validateCreateGroup,
     handleValidationErrors,
+    idempotent('group.create'),
     createGroup
 );
 
 router.get('/my-groups', getUserGroups);
+router.get('/inbox', getInbox);
 router.get('/main-chat', getMainChat);
 
+router.post('/direct',
+    validateOpenDirectConversation,
+    handleValidationErrors,
+    openDirectConversation
+);
+
 router.get('/:groupId',
     validateGroupParams,
     handleValidationErrors,
     getGroupDetails
 );
 
+router.get('/:groupId/online',
+    validateGroupParams,
+    handleValidationErrors,
+    getOnlineMembers
+);
+
+router.get('/:groupId/typing',
+    validateGroupParams,
+    handleValidationErrors,
+    getGroupTyping
+);
+
+router.post('/:groupId/typing',
+    validateGroupParams,
+    handleValidationErrors,
+    startTypingInGroup
+);
+
+router.delete('/:groupId/typing',
+    validateGroupParams,
+    handleValidationErrors,
+    stopTypingInGroup
+);
+
+router.get('/:groupId/pins',
+    validateGroupParams,
+    handleValidationErrors,
+    getGroupPins
+);
+
+router.post('/:groupId/pins',
+    validatePinMessage,
+    handleValidationErrors,
+    pinMessage
+);
+
+router.delete('/:groupId/pins/:messageId',
+    validateUnpinMessage,
+    handleValidationErrors,
+    unpinMessage
+);
+
+router.get('/:groupId/moderation-rules',
+    validateGroupParams,
+    handleValidationErrors,
+    getModerationRules
+);
+
+router.post('/:groupId/moderation-rules',
+    validateCreateModerationRule,
+    handleValidationErrors,
+    createModerationRule
+);
+
+router.put('/:groupId/moderation-rules/:ruleId',
+    validateUpdateModerationRule,
+    handleValidationErrors,
+    updateModerationRule
+);
+
+router.delete('/:groupId/moderation-rules/:ruleId',
+    validateModerationRuleParams,
+    handleValidationErrors,
+    deleteModerationRule
+);
+
+router.get('/:groupId/moderation-logs',
+    validateGetModerationLogs,
+    handleValidationErrors,
+    getModerationLogs
+);
+
 router.put('/:groupId',
     validateUpdateGroup,
     handleValidationErrors,
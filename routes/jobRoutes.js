@@ -0,0 +1,11 @@
+// routes/jobRoutes.js
+import express from 'express';
+import { runScheduledJob } from '../controllers/jobController.js';
+import { requireCronSecret } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Called by the crons in vercel.json; cron requests are GETs
+router.get('/:jobName', requireCronSecret, runScheduledJob);
+
+export default router;
\ No newline at end of file
@@ -6,7 +6,23 @@ import {
     getUnreadMessageCount,
     markMessagesAsRead,
     deleteMessage,
-    editMessage
+    editMessage,
+    streamMessages,
+    getThreadReplies,
+    addReaction,
+    removeReaction,
+    getReactions,
+    getSeenBy,
+    getReceipts,
+    getMessageHistory,
+    getDeletedMessage,
+    restoreMessage,
+    searchGroupMessages,
+    searchAllMessages,
+    getMentions,
+    uploadMessageAttachment,
+    forwardMessage,
+    downloadAttachment
 } from '../controllers/messageController.js';
 import { 
     validateSendMessage,
@@ -14,22 +30,170 @@ import {
     validateMessageParams,
     validateEditMessage,
     validateMarkMessagesRead,
+    validateStreamMessages,
+    validateGetThread,
+    validateAddReaction,
+    validateRemoveReaction,
+    validateSearchMessages,
+    validateSearchGroupMessages,
+    validateGetMentions,
+    validateUploadAttachment,
+    validateForwardMessage,
+    validateScheduleMessage,
+    validateGetScheduledMessages,
+    validateScheduledMessageParams,
+    validateCreatePoll,
+    validateVotePoll,
+    validateBulkPurge,
+    validateReportMessage,
+    validateGetGroupReports,
+    validateReportParams,
+    validateResolveReport,
+    validateGetHeldMessages,
+    validateReviewHeldMessage,
+    validatePagination,
     handleValidationErrors, 
     validateGroupParams
 } from '../middleware/validation.js';
-import { protect } from '../middleware/auth.js';
+import {
+    scheduleMessage,
+    getScheduledMessages,
+    cancelScheduledMessage
+} from '../controllers/scheduledMessageController.js';
+import {
+    createPoll,
+    votePoll,
+    closePoll,
+    getPollResults
+} from '../controllers/pollController.js';
+import {
+    bulkPurgeMessages,
+    getPurgeLogs,
+    reportMessage,
+    getGroupReports,
+    getReport,
+    resolveReport,
+    getHeldMessages,
+    reviewHeldMessage
+} from '../controllers/moderationController.js';
+import { protect, protectWithStreamTicket } from '../middleware/auth.js';
+import { uploadAttachment } from '../middleware/upload.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
+// Live event stream, registered before router.use(protect) so EventSource clients can send ?ticket=
+router.get('/stream',
+    protectWithStreamTicket,
+    validateStreamMessages,
+    handleValidationErrors,
+    streamMessages
+);
+
+// Attachments can be loaded straight into <img> tags, which cannot send headers either
+router.get('/:messageId/attachment',
+    protectWithStreamTicket,
+    validateMessageParams,
+    handleValidationErrors,
+    downloadAttachment
+);
+
 // All routes are protected
 router.use(protect);
 
+router.get('/search',
+    validateSearchMessages,
+    handleValidationErrors,
+    searchAllMessages
+);
+
+router.get('/mentions',
+    validateGetMentions,
+    handleValidationErrors,
+    getMentions
+);
+
+router.get('/scheduled',
+    validateGetScheduledMessages,
+    handleValidationErrors,
+    getScheduledMessages
+);
+
+router.delete('/scheduled/:scheduledMessageId',
+    validateScheduledMessageParams,
+    handleValidationErrors,
+    cancelScheduledMessage
+);
+
+router.get('/reports/:reportId',
+    validateReportParams,
+    handleValidationErrors,
+    getReport
+);
+
+router.post('/reports/:reportId/resolve',
+    validateResolveReport,
+    handleValidationErrors,
+    resolveReport
+);
+
+router.post('/held/:heldMessageId/review',
+    validateReviewHeldMessage,
+    handleValidationErrors,
+    reviewHeldMessage
+);
+
+router.post('/:groupId/schedule',
+    validateScheduleMessage,
+    handleValidationErrors,
+    scheduleMessage
+);
+
+router.post('/:groupId/polls',
+    validateCreatePoll,
+    handleValidationErrors,
+    createPoll
+);
+
 router.post('/:groupId/send',
     validateSendMessage,
     handleValidationErrors,
+    idempotent('message.send', { bodyField: 'clientMessageId' }),
     sendMessage
 );
 
+router.post('/:groupId/upload',
+    uploadAttachment,
+    validateUploadAttachment,
+    handleValidationErrors,
+    uploadMessageAttachment
+);
+
+router.post('/:groupId/purge',
+    validateBulkPurge,
+    handleValidationErrors,
+    bulkPurgeMessages
+);
+
+router.get('/:groupId/purge-logs',
+    validateGroupParams,
+    validatePagination,
+    handleValidationErrors,
+    getPurgeLogs
+);
+
+router.get('/:groupId/reports',
+    validateGetGroupReports,
+    handleValidationErrors,
+    getGroupReports
+);
+
+router.get('/:groupId/held',
+    validateGetHeldMessages,
+    handleValidationErrors,
+    getHeldMessages
+);
+
 router.get('/:groupId/messages',
     validateGetMessages,
     handleValidationErrors,
@@ -42,12 +206,102 @@ router.get('/:groupId/unread-count',
     getUnreadMessageCount
 );
 
+router.get('/:groupId/search',
+    validateSearchGroupMessages,
+    handleValidationErrors,
+    searchGroupMessages
+);
+
 router.post('/:groupId/mark-read',
     validateMarkMessagesRead,
     handleValidationErrors,
     markMessagesAsRead
 );
 
+router.get('/:messageId/thread',
+    validateGetThread,
+    handleValidationErrors,
+    getThreadReplies
+);
+
+router.get('/:messageId/poll',
+    validateMessageParams,
+    handleValidationErrors,
+    getPollResults
+);
+
+router.post('/:messageId/poll/vote',
+    validateVotePoll,
+    handleValidationErrors,
+    votePoll
+);
+
+router.post('/:messageId/poll/close',
+    validateMessageParams,
+    handleValidationErrors,
+    closePoll
+);
+
+router.get('/:messageId/reactions',
+    validateMessageParams,
+    handleValidationErrors,
+    getReactions
+);
+
+router.post('/:messageId/reactions',
+    validateAddReaction,
+    handleValidationErrors,
+    addReaction
+);
+
+router.delete('/:messageId/reactions/:emoji',
+    validateRemoveReaction,
+    handleValidationErrors,
+    removeReaction
+);
+
+router.get('/:messageId/seen-by',
+    validateMessageParams,
+    handleValidationErrors,
+    getSeenBy
+);
+
+router.get('/:messageId/receipts',
+    validateMessageParams,
+    handleValidationErrors,
+    getReceipts
+);
+
+router.get('/:messageId/history',
+    validateMessageParams,
+    handleValidationErrors,
+    getMessageHistory
+);
+
+router.get('/:messageId/deleted',
+    validateMessageParams,
+    handleValidationErrors,
+    getDeletedMessage
+);
+
+router.post('/:messageId/report',
+    validateReportMessage,
+    handleValidationErrors,
+    reportMessage
+);
+
+router.post('/:messageId/forward',
+    validateForwardMessage,
+    handleValidationErrors,
+    forwardMessage
+);
+
+router.post('/:messageId/restore',
+    validateMessageParams,
+    handleValidationErrors,
+    restoreMessage
+);
+
 router.put('/:messageId',
     validateEditMessage,
     handleValidationErrors,
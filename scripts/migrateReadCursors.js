@@ -0,0 +1,85 @@
+// scripts/migrateReadCursors.js
+// One-off migration from per-message readBy arrays to per-member read cursors.
+// Usage: npm run migrate:read-cursors
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Message from '../models/Message.js';
+import GroupMember from '../models/GroupMember.js';
+
+const BATCH_SIZE = 1000;
+
+const migrateReadCursors = async () => {
+    await connectDB();
+
+    // readBy is no longer in the schema, so work on the raw collection.
+    // Each member's cursor becomes the newest message they had read in that group.
+    const cursors = Message.collection.aggregate([
+        { $match: { 'readBy.0': { $exists: true } } },
+        { $project: { group: 1, createdAt: 1, readBy: 1 } },
+        { $unwind: '$readBy' },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $group: {
+                _id: { group: '$group', user: '$readBy.user' },
+                lastReadMessage: { $first: '$_id' },
+                lastReadMessageAt: { $first: '$createdAt' },
+                lastReadAt: { $max: '$readBy.readAt' }
+            }
+        }
+    ], { allowDiskUse: true });
+
+    let operations = [];
+    let updatedCount = 0;
+
+    const flush = async () => {
+        if (operations.length === 0) return;
+        const result = await GroupMember.bulkWrite(operations, { ordered: false });
+        updatedCount += result.modifiedCount;
+        operations = [];
+    };
+
+    for await (const cursor of cursors) {
+        operations.push({
+            updateOne: {
+                // Only move cursors forward, so re-running is safe
+                filter: {
+                    group: cursor._id.group,
+                    user: cursor._id.user,
+                    $or: [
+                        { lastReadMessageAt: null },
+                        { lastReadMessageAt: { $lt: cursor.lastReadMessageAt } }
+                    ]
+                },
+                update: {
+                    $set: {
+                        lastReadMessage: cursor.lastReadMessage,
+                        lastReadMessageAt: cursor.lastReadMessageAt,
+                        lastReadAt: cursor.lastReadAt || cursor.lastReadMessageAt
+                    }
+                }
+            }
+        });
+
+        if (operations.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    console.log(`✅ Read cursors updated for ${updatedCount} memberships`);
+
+    const { modifiedCount } = await Message.collection.updateMany(
+        { readBy: { $exists: true } },
+        { $unset: { readBy: '' } }
+    );
+
+    console.log(`🧹 Removed readBy from ${modifiedCount} messages`);
+};
+
+migrateReadCursors()
+    .catch((error) => {
+        console.error('❌ Read cursor migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,254 @@
+// utils/autoModeration.js
+import Message from '../models/Message.js';
+import Group from '../models/Group.js';
+import AutoModerationRule from '../models/AutoModerationRule.js';
+import AutoModerationLog from '../models/AutoModerationLog.js';
+import { escapeRegExp } from './search.js';
+
+// Matched strings kept on each log entry
+const MAX_LOGGED_MATCHES = 10;
+
+// When several rules hit, the strongest action decides what happens to the message
+const ACTION_PRECEDENCE = ['reject', 'review', 'mask'];
+
+const OUTCOMES = {
+    reject: 'rejected',
+    review: 'held',
+    mask: 'masked'
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+// Same token boundaries as mention resolution, e.g. @everyone, @jane@example.com
+const MENTION_PATTERN = /(?:^|[^\w@.])(@[^\s@]+(?:@[^\s@]+)?)/g;
+
+// Rule patterns are case-insensitive; validation compiles them the same way
+export const compileRulePattern = (pattern) => new RegExp(pattern, 'gi');
+
+/**
+ * Rule patterns run on the event loop against every message, so refuse the shapes that
+ * backtrack catastrophically: backreferences, and quantified groups that themselves
+ * contain a quantifier or an alternation, e.g. (a+)+ or (a|a)*.
+ */
+export const isSafeRulePattern = (pattern) => {
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        return false;
+    }
+
+    const isQuantifier = (char) => ['*', '+', '?', '{'].includes(char);
+
+    // One entry per open group: whether it contains a quantifier or alternation
+    const groups = [];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\') {
+            i++;
+            continue;
+        }
+
+        if (inClass) {
+            inClass = char !== ']';
+            continue;
+        }
+
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+
+            // Skip group modifiers such as (?:, (?=, (?<! and (?<name>
+            if (pattern[i + 1] === '?') {
+                i++;
+                if (pattern[i + 1] === '<' && !['=', '!'].includes(pattern[i + 2])) {
+                    i = pattern.indexOf('>', i);
+                } else {
+                    i += pattern[i + 1] === '<' ? 2 : 1;
+                }
+            }
+        } else if (char === ')') {
+            const isComplex = groups.pop();
+
+            if (isQuantifier(pattern[i + 1]) && isComplex) {
+                return false;
+            }
+
+            // A complex inner group makes the enclosing group complex too
+            if (groups.length > 0 && (isComplex || isQuantifier(pattern[i + 1]))) {
+                groups[groups.length - 1] = true;
+            }
+        } else if ((isQuantifier(char) || char === '|') && groups.length > 0) {
+            groups[groups.length - 1] = true;
+        }
+    }
+
+    return true;
+};
+
+// Whole-word, case-insensitive match for any of the banned words
+const buildBannedWordsPattern = (words) => {
+    const alternatives = words.filter(Boolean).map(escapeRegExp);
+    if (alternatives.length === 0) {
+        return null;
+    }
+
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+};
+
+const isAllowedLink = (link, allowedDomains) => {
+    if (!allowedDomains?.length) {
+        return false;
+    }
+
+    try {
+        const { hostname } = new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`);
+        const host = hostname.toLowerCase();
+
+        return allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    } catch {
+        return false;
+    }
+};
+
+// Spans of content matched by a text rule
+const findTextMatches = (rule, content) => {
+    let pattern = null;
+
+    if (rule.type === 'banned_words') {
+        pattern = buildBannedWordsPattern(rule.words);
+    } else if (rule.type === 'regex' && !rule.group && rule.pattern && isSafeRulePattern(rule.pattern)) {
+        // Group regex rules saved before they were restricted to system defaults are ignored
+        pattern = compileRulePattern(rule.pattern);
+    } else if (rule.type === 'links') {
+        pattern = new RegExp(LINK_PATTERN);
+    }
+
+    if (!pattern) {
+        return [];
+    }
+
+    return [...content.matchAll(pattern)]
+        .filter(match => match[0].length > 0)
+        .filter(match => rule.type !== 'links' || !isAllowedLink(match[0], rule.allowedDomains))
+        .map(match => ({ index: match.index, text: match[0] }));
+};
+
+// Check one rule; returns the matches when it hits, otherwise null
+const checkRule = async (rule, content, { groupId, userId, excludeMessageId }) => {
+    switch (rule.type) {
+        case 'banned_words':
+        case 'regex':
+        case 'links': {
+            const matches = findTextMatches(rule, content);
+            return matches.length > 0 ? matches : null;
+        }
+
+        case 'max_mentions': {
+            const mentions = [...content.matchAll(MENTION_PATTERN)].map(match => ({ text: match[1] }));
+            return rule.maxMentions !== null && mentions.length > rule.maxMentions ? mentions : null;
+        }
+
+        case 'caps_ratio': {
+            const letters = content.match(/\p{L}/gu) || [];
+            if (rule.capsRatio === null || letters.length < rule.capsMinLength) {
+                return null;
+            }
+
+            const uppercase = content.match(/\p{Lu}/gu) || [];
+            return uppercase.length / letters.length >= rule.capsRatio ? [] : null;
+        }
+
+        case 'flood': {
+            if (!rule.floodMaxRepeats || !rule.floodWindowSeconds) {
+                return null;
+            }
+
+            const repeats = await Message.countDocuments({
+                group: groupId,
+                sender: userId,
+                content,
+                isDeleted: false,
+                createdAt: { $gte: new Date(Date.now() - rule.floodWindowSeconds * 1000) },
+                ...(excludeMessageId && { _id: { $ne: excludeMessageId } })
+            });
+
+            return repeats >= rule.floodMaxRepeats ? [] : null;
+        }
+
+        default:
+            return null;
+    }
+};
+
+// Replace every masked span with asterisks of the same length
+const applyMasks = (content, hits) => {
+    return hits
+        .flatMap(({ matches }) => matches)
+        .reduce((masked, { index, text }) =>
+            masked.slice(0, index) + '*'.repeat(text.length) + masked.slice(index + text.length),
+        content);
+};
+
+/**
+ * Enabled rules for a group: its own plus the system-wide defaults, unless the group opted out
+ */
+export const getApplicableRules = async (groupId) => {
+    const group = await Group.findById(groupId).select('inheritModerationDefaults').lean();
+    const scopes = group?.inheritModerationDefaults === false ? [groupId] : [groupId, null];
+
+    return AutoModerationRule.find({ group: { $in: scopes }, isEnabled: true })
+        .sort({ createdAt: 1 })
+        .lean();
+};
+
+/**
+ * Run a group's rules over message content.
+ * Returns the winning action (null when nothing hit), the content with masks applied and every hit.
+ */
+export const moderateContent = async ({ groupId, userId, content, excludeMessageId = null }) => {
+    const rules = await getApplicableRules(groupId);
+    const hits = [];
+
+    for (const rule of rules) {
+        const matches = await checkRule(rule, content, { groupId, userId, excludeMessageId });
+        if (matches) {
+            hits.push({ rule, matches });
+        }
+    }
+
+    const action = ACTION_PRECEDENCE.find(candidate => hits.some(({ rule }) => rule.action === candidate)) || null;
+    const maskedContent = applyMasks(content, hits.filter(({ rule }) => rule.action === 'mask'));
+
+    return { action, content: maskedContent, hits };
+};
+
+/**
+ * Write one log entry per rule hit
+ */
+export const logAutoModerationHits = async (result, { groupId, userId, event, content, message = null, heldMessage = null }) => {
+    if (result.hits.length === 0) {
+        return;
+    }
+
+    const outcome = OUTCOMES[result.action];
+
+    await AutoModerationLog.insertMany(result.hits.map(({ rule, matches }) => ({
+        group: groupId,
+        user: userId,
+        rule: rule._id,
+        ruleName: rule.name,
+        ruleType: rule.type,
+        ruleScope: rule.group ? 'group' : 'system',
+        action: rule.action,
+        outcome,
+        event,
+        content,
+        matches: matches.slice(0, MAX_LOGGED_MATCHES).map(({ text }) => text),
+        message,
+        heldMessage
+    })));
+
+    console.log(`🛡️ Auto-moderation ${outcome} ${event} in group ${groupId}: ${result.hits.map(({ rule }) => rule.name).join(', ')}`);
+};
\ No newline at end of file
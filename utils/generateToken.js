@@ -1,6 +1,9 @@
 // utils/generateToken.js
 import jwt from 'jsonwebtoken';
 
+// Stream tickets only need to live long enough to open the connection they were issued for
+export const STREAM_TICKET_TTL_SECONDS = parseInt(process.env.STREAM_TICKET_TTL_SECONDS) || 60;
+
 const generateToken = (userId) => {
     return jwt.sign(
         { userId }, 
@@ -9,4 +12,15 @@ const generateToken = (userId) => {
     );
 };
 
+/**
+ * Short-lived token for URLs (EventSource, <img>), accepted only by routes that take ?ticket=
+ */
+export const generateStreamTicket = (userId) => {
+    return jwt.sign(
+        { userId, purpose: 'stream' },
+        process.env.JWT_SECRET,
+        { expiresIn: STREAM_TICKET_TTL_SECONDS }
+    );
+};
+
 export default generateToken;
\ No newline at end of file
@@ -0,0 +1,96 @@
+// utils/messageEvents.js
+import { EventEmitter } from 'events';
+import GroupEvent from '../models/GroupEvent.js';
+
+// Fans events out to the streams open on this instance
+const emitter = new EventEmitter();
+
+// One listener per open stream per group, so lift the default cap of 10
+emitter.setMaxListeners(0);
+
+// Wait before watching again after the change stream fails
+const WATCH_RETRY_MS = 5000;
+
+// MongoDB answers change streams on a standalone server with this code
+const CHANGE_STREAMS_UNSUPPORTED = 40573;
+
+let changeStream = null;
+
+// Without change streams (standalone MongoDB, e.g. local development) events stay on this instance
+let localOnly = false;
+
+const groupChannel = (groupId) => `group:${groupId.toString()}`;
+
+const deliver = (event) => {
+    emitter.emit(groupChannel(event.groupId), event);
+};
+
+const hasSubscribers = () => emitter.eventNames().length > 0;
+
+const stopWatching = () => {
+    changeStream?.close().catch(() => {});
+    changeStream = null;
+};
+
+// Watch the shared event log while any stream is open here, so events published
+// by other instances (or serverless invocations) reach this one's subscribers
+const watchEvents = () => {
+    if (changeStream || localOnly) return;
+
+    changeStream = GroupEvent.watch([{ $match: { operationType: 'insert' } }]);
+
+    changeStream.on('change', ({ fullDocument }) => {
+        deliver({
+            type: fullDocument.type,
+            groupId: fullDocument.group.toString(),
+            data: fullDocument.data,
+            timestamp: fullDocument.timestamp.toISOString()
+        });
+    });
+
+    changeStream.on('error', (error) => {
+        stopWatching();
+
+        if (error.code === CHANGE_STREAMS_UNSUPPORTED) {
+            console.warn('⚠️ MongoDB has no change streams here; live events only reach this instance');
+            localOnly = true;
+            return;
+        }
+
+        console.error('❌ Group event watch error:', error.message);
+        setTimeout(() => hasSubscribers() && watchEvents(), WATCH_RETRY_MS).unref();
+    });
+};
+
+/**
+ * Publish an event to everyone subscribed to a group, on any instance
+ */
+export const emitGroupEvent = (type, groupId, data) => {
+    const timestamp = new Date();
+
+    if (localOnly) {
+        deliver({ type, groupId: groupId.toString(), data, timestamp: timestamp.toISOString() });
+        return;
+    }
+
+    GroupEvent.create({ group: groupId, type, data, timestamp }).catch((error) => {
+        console.error(`❌ Group event ${type} not published:`, error.message);
+    });
+};
+
+/**
+ * Subscribe a listener to a single group, returns an unsubscribe function
+ */
+export const subscribeToGroup = (groupId, listener) => {
+    const channel = groupChannel(groupId);
+    emitter.on(channel, listener);
+    watchEvents();
+
+    return () => {
+        emitter.off(channel, listener);
+
+        if (!hasSubscribers()) {
+            stopWatching();
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+// utils/polls.js
+
+// Longest list of choices a poll can offer
+export const MAX_POLL_OPTIONS = 10;
+
+/**
+ * A poll is closed once an admin or its creator closes it, or its closing time passes
+ */
+export const isPollClosed = (poll) => {
+    return Boolean(poll.closedAt) || Boolean(poll.closesAt && poll.closesAt <= new Date());
+};
+
+/**
+ * Tally raw poll votes into per-option counts, flagging the viewer's own choices.
+ * Voters are only listed for public polls.
+ */
+export const summarizePoll = (poll, viewerId = null) => {
+    const { votes = [], ...details } = poll;
+    const tally = new Map(poll.options.map(option => [option._id.toString(), []]));
+    let myVote = [];
+
+    votes.forEach(({ user, options, votedAt }) => {
+        const userId = (user?._id || user)?.toString();
+        if (viewerId && userId === viewerId.toString()) {
+            myVote = options;
+        }
+
+        options.forEach((optionId) => {
+            tally.get(optionId.toString())?.push({ user, votedAt });
+        });
+    });
+
+    return {
+        ...details,
+        isClosed: isPollClosed(poll),
+        totalVoters: votes.length,
+        myVote,
+        options: poll.options.map((option) => {
+            const voters = tally.get(option._id.toString());
+            return {
+                ...option,
+                count: voters.length,
+                ...(!poll.isAnonymous && { voters })
+            };
+        })
+    };
+};
+
+/**
+ * Replace raw votes on lean poll messages with results; other messages pass through
+ */
+export const withPollResults = (messages, viewerId = null) => {
+    return messages.map(message => (message.poll
+        ? { ...message, poll: summarizePoll(message.poll, viewerId) }
+        : message));
+};
\ No newline at end of file
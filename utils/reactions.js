@@ -0,0 +1,29 @@
+// utils/reactions.js
+
+/**
+ * Collapse raw reactions into per-emoji counts, flagging the ones the viewer added
+ */
+export const summarizeReactions = (reactions = [], viewerId = null) => {
+    const summary = new Map();
+
+    reactions.forEach(({ emoji, user }) => {
+        const entry = summary.get(emoji) || { emoji, count: 0, reactedByMe: false };
+        entry.count += 1;
+        if (viewerId && user.toString() === viewerId.toString()) {
+            entry.reactedByMe = true;
+        }
+        summary.set(emoji, entry);
+    });
+
+    return [...summary.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Replace the raw reactions array on lean messages with aggregated counts
+ */
+export const withReactionCounts = (messages, viewerId = null) => {
+    return messages.map(({ reactions, ...message }) => ({
+        ...message,
+        reactionCounts: summarizeReactions(reactions, viewerId)
+    }));
+};
\ No newline at end of file
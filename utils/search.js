@@ -0,0 +1,43 @@
+// utils/search.js
+
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search query into the plain terms used for highlighting
+ */
+export const extractSearchTerms = (query) => {
+    return [...new Set(
+        query
+            .split(/\s+/)
+            .filter(term => !term.startsWith('-')) // Excluded terms never match
+            .map(term => term.replace(/"/g, '').toLowerCase())
+            .filter(term => term.length > 1)
+    )];
+};
+
+/**
+ * Cut a window of text around the first match and report where the terms fall in it.
+ * Highlights are returned as [start, end) offsets so clients can render them safely.
+ */
+export const buildSnippet = (content, terms, radius = 60) => {
+    const pattern = terms.length > 0
+        ? new RegExp(terms.map(escapeRegExp).join('|'), 'gi')
+        : null;
+
+    const firstMatch = pattern ? content.search(pattern) : -1;
+    const start = firstMatch > radius ? firstMatch - radius : 0;
+    const end = Math.min(content.length, (firstMatch > -1 ? firstMatch : 0) + radius * 2);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+    const text = `${prefix}${content.slice(start, end)}${suffix}`;
+
+    const highlights = [];
+    if (pattern) {
+        for (const match of text.matchAll(pattern)) {
+            highlights.push([match.index, match.index + match[0].length]);
+        }
+    }
+
+    return { text, highlights };
+};
\ No newline at end of file
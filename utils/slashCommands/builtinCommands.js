@@ -0,0 +1,197 @@
+// utils/slashCommands/builtinCommands.js
+import GroupMember from '../../models/GroupMember.js';
+import User from '../../models/User.js';
+import { updateGroup, postSystemMessage } from '../../controllers/groupController.js';
+import { inviteToGroup, removeMember, muteMember, unmuteMember } from '../../controllers/groupMemberController.js';
+import { sendMessage } from '../../controllers/messageController.js';
+import { createPoll } from '../../controllers/pollController.js';
+import {
+    validateUpdateGroup,
+    validateGroupMemberParams,
+    validateMuteMember,
+    validateInviteToGroup,
+    validateCreatePoll,
+    validateSendMessage
+} from '../../middleware/validation.js';
+import { escapeRegExp } from '../search.js';
+import invokeController from './invokeController.js';
+
+const MINUTES_PER_UNIT = { '': 1, m: 1, h: 60, d: 24 * 60 };
+
+const usageError = (usage) => ({
+    statusCode: 400,
+    body: {
+        success: false,
+        message: `Usage: ${usage}`
+    }
+});
+
+// Find an active group member by @email or @name (case-insensitive): look up the
+// users the handle names, then whichever of them belongs to the group
+const findMemberByHandle = async (groupId, handle) => {
+    const target = handle.trim().replace(/^@/, '').toLowerCase();
+
+    const users = await User.find({
+        $or: [
+            { email: target },
+            { name: new RegExp(`^${escapeRegExp(target)}$`, 'i') }
+        ]
+    })
+        .select('_id')
+        .lean();
+
+    if (users.length === 0) {
+        return null;
+    }
+
+    return GroupMember.findOne({ group: groupId, isActive: true, user: { $in: users.map(({ _id }) => _id) } })
+        .populate('user', 'name email')
+        .lean();
+};
+
+const memberNotFound = (handle) => ({
+    statusCode: 404,
+    body: {
+        success: false,
+        message: `No group member matches "${handle}"`
+    }
+});
+
+/**
+ * Built-in commands. Each handler receives { args, user, groupId } and resolves
+ * to { statusCode, body }, the same shape as the REST response it stands in for.
+ */
+const builtinCommands = {
+    topic: {
+        description: 'Change the group description',
+        usage: '/topic <text>',
+        handler: async ({ args, user, groupId }) => {
+            if (!args) return usageError('/topic <text>');
+
+            const result = await invokeController(updateGroup, {
+                user,
+                params: { groupId: groupId.toString() },
+                body: { description: args },
+                validators: validateUpdateGroup
+            });
+
+            if (result.statusCode < 400) {
+                await postSystemMessage(groupId, user._id, `📝 ${user.name} changed the topic to: ${args}`);
+            }
+
+            return result;
+        }
+    },
+
+    kick: {
+        description: 'Remove a member from the group',
+        usage: '/kick @user',
+        handler: async ({ args, user, groupId }) => {
+            if (!args) return usageError('/kick @user');
+
+            const member = await findMemberByHandle(groupId, args);
+            if (!member) return memberNotFound(args);
+
+            const result = await invokeController(removeMember, {
+                user,
+                params: { groupId: groupId.toString(), userId: member.user._id.toString() },
+                validators: validateGroupMemberParams
+            });
+
+            if (result.statusCode < 400) {
+                await postSystemMessage(groupId, user._id, `👢 ${user.name} removed ${member.user.name} from the group`);
+            }
+
+            return result;
+        }
+    },
+
+    mute: {
+        description: 'Stop a member from posting for a while (default 60 minutes)',
+        usage: '/mute @user [duration, e.g. 10m, 2h, 1d]',
+        handler: async ({ args, user, groupId }) => {
+            const match = args.match(/^(.+?)(?:\s+(\d+)([mhd]?))?$/i);
+            if (!match) return usageError('/mute @user [duration, e.g. 10m, 2h, 1d]');
+
+            const [, handle, amount = '60', unit = ''] = match;
+            const minutes = parseInt(amount) * MINUTES_PER_UNIT[unit.toLowerCase()];
+
+            const member = await findMemberByHandle(groupId, handle);
+            if (!member) return memberNotFound(handle);
+
+            return invokeController(muteMember, {
+                user,
+                params: { groupId: groupId.toString(), userId: member.user._id.toString() },
+                body: { minutes },
+                validators: validateMuteMember
+            });
+        }
+    },
+
+    unmute: {
+        description: 'Let a muted member post again',
+        usage: '/unmute @user',
+        handler: async ({ args, user, groupId }) => {
+            if (!args) return usageError('/unmute @user');
+
+            const member = await findMemberByHandle(groupId, args);
+            if (!member) return memberNotFound(args);
+
+            return invokeController(unmuteMember, {
+                user,
+                params: { groupId: groupId.toString(), userId: member.user._id.toString() },
+                validators: validateGroupMemberParams
+            });
+        }
+    },
+
+    invite: {
+        description: 'Invite a user to the group by email',
+        usage: '/invite <email>',
+        handler: async ({ args, user, groupId }) => {
+            if (!/^\S+@\S+$/.test(args)) return usageError('/invite <email>');
+
+            return invokeController(inviteToGroup, {
+                user,
+                params: { groupId: groupId.toString() },
+                body: { email: args.toLowerCase() },
+                validators: validateInviteToGroup
+            });
+        }
+    },
+
+    poll: {
+        description: 'Start a single-choice poll',
+        usage: '/poll <question> | <option> | <option> [| ...]',
+        handler: async ({ args, user, groupId }) => {
+            const [question, ...options] = args.split('|').map(part => part.trim()).filter(Boolean);
+            if (!question || options.length < 2) {
+                return usageError('/poll <question> | <option> | <option> [| ...]');
+            }
+
+            return invokeController(createPoll, {
+                user,
+                params: { groupId: groupId.toString() },
+                body: { question, options },
+                validators: validateCreatePoll
+            });
+        }
+    },
+
+    me: {
+        description: 'Post an action, e.g. /me waves',
+        usage: '/me <action>',
+        handler: async ({ args, user, groupId }) => {
+            if (!args) return usageError('/me <action>');
+
+            return invokeController(sendMessage, {
+                user,
+                params: { groupId: groupId.toString() },
+                body: { content: `_${user.name} ${args}_` },
+                validators: validateSendMessage
+            });
+        }
+    }
+};
+
+export default builtinCommands;
\ No newline at end of file
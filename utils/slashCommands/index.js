@@ -0,0 +1,73 @@
+// utils/slashCommands/index.js
+import builtinCommands from './builtinCommands.js';
+
+/**
+ * Slash command registry used by sendMessage.
+ * Every command exposes:
+ *   description                      - shown by /help and on unknown commands
+ *   usage                            - e.g. '/kick @user'
+ *   handler({ args, user, groupId }) - resolves to { statusCode, body }
+ */
+const commands = new Map();
+
+/**
+ * Register a command, replacing any existing one with the same name
+ */
+export const registerSlashCommand = (name, { description, usage, handler }) => {
+    const commandName = name.toLowerCase();
+    commands.set(commandName, { name: commandName, description, usage, handler });
+};
+
+/**
+ * Public description of every registered command
+ */
+export const listSlashCommands = () => {
+    return [...commands.values()]
+        .map(({ name, description, usage }) => ({ name, description, usage }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Split "/name args" into { name, args }; anything else (e.g. a "/path/like/this") is plain text
+ */
+export const parseSlashCommand = (content) => {
+    const match = content.match(/^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i);
+    if (!match) return null;
+
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Run a parsed command for a user in a group
+ */
+export const runSlashCommand = async ({ name, args, user, groupId }) => {
+    const command = commands.get(name);
+
+    if (!command) {
+        return {
+            statusCode: 400,
+            body: {
+                success: false,
+                message: `Unknown command /${name}. Type /help to see available commands, or start with // to send a message beginning with /`,
+                availableCommands: listSlashCommands()
+            }
+        };
+    }
+
+    return command.handler({ args, user, groupId });
+};
+
+Object.entries(builtinCommands).forEach(([name, command]) => registerSlashCommand(name, command));
+
+registerSlashCommand('help', {
+    description: 'List available commands',
+    usage: '/help',
+    handler: async () => ({
+        statusCode: 200,
+        body: {
+            success: true,
+            message: 'Available commands',
+            data: listSlashCommands()
+        }
+    })
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+// utils/slashCommands/invokeController.js
+import { handleValidationErrors } from '../../middleware/validation.js';
+
+/**
+ * Run an Express controller in-process and capture its response, so commands
+ * go through exactly the same validation and permission checks as the REST endpoints.
+ * Pass the route's express-validator chains as validators.
+ * Resolves to { statusCode, body }.
+ */
+const invokeController = (controller, { user, params = {}, body = {}, query = {}, validators = [] }) => {
+    return new Promise((resolve, reject) => {
+        let responded = false;
+
+        const res = {
+            statusCode: 200,
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            json(payload) {
+                responded = true;
+                resolve({ statusCode: this.statusCode, body: payload });
+                return this;
+            }
+        };
+
+        const req = { user, params, body, query, headers: {} };
+
+        const run = async () => {
+            for (const validator of validators) {
+                await validator.run(req);
+            }
+
+            let passed = false;
+            handleValidationErrors(req, res, () => { passed = true; });
+
+            if (passed) {
+                await controller(req, res);
+            }
+        };
+
+        run()
+            .then(() => {
+                if (!responded) {
+                    reject(new Error('Controller finished without sending a response'));
+                }
+            })
+            .catch(reject);
+    });
+};
+
+export default invokeController;
\ No newline at end of file
@@ -0,0 +1,64 @@
+// utils/storage/index.js
+import createLocalDiskStorage from './localDiskStorage.js';
+
+/**
+ * Attachment storage adapters.
+ * Every adapter exposes:
+ *   name                                  - stored on each attachment so files stay readable after a switch
+ *   save({ buffer, filename, mimeType })  - resolves to { key, size }
+ *   createReadStream(key)                 - readable stream of the file
+ *   remove(key)                           - deletes the file, ignoring ones already gone
+ */
+const adapterFactories = {
+    local: () => createLocalDiskStorage(process.env.UPLOAD_DIR || 'uploads')
+};
+
+const adapters = new Map();
+
+/**
+ * Get a storage adapter by name, defaulting to STORAGE_DRIVER (or local disk)
+ */
+export const getStorageAdapter = (name = process.env.STORAGE_DRIVER || 'local') => {
+    if (!adapters.has(name)) {
+        const factory = adapterFactories[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        adapters.set(name, factory());
+    }
+
+    return adapters.get(name);
+};
+
+/**
+ * Register an additional storage adapter, e.g. an S3-compatible one
+ */
+export const registerStorageAdapter = (name, factory) => {
+    adapterFactories[name] = factory;
+    adapters.delete(name);
+};
+
+/**
+ * Copy an attachment's stored file into the current adapter, so the copy can be
+ * removed independently of the original. Resolves to { storageDriver, storageKey }.
+ */
+export const copyStoredFile = async ({ storageDriver, storageKey, filename, mimeType }) => {
+    const chunks = [];
+    for await (const chunk of getStorageAdapter(storageDriver).createReadStream(storageKey)) {
+        chunks.push(chunk);
+    }
+
+    const storage = getStorageAdapter();
+    const { key } = await storage.save({ buffer: Buffer.concat(chunks), filename, mimeType });
+
+    return { storageDriver: storage.name, storageKey: key };
+};
+
+/**
+ * Remove the stored files behind a list of attachments, skipping empty entries
+ */
+export const removeStoredFiles = (attachments) => {
+    return Promise.all(attachments
+        .filter(attachment => attachment?.storageKey)
+        .map(({ storageDriver, storageKey }) => getStorageAdapter(storageDriver).remove(storageKey)));
+};
\ No newline at end of file
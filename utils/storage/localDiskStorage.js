@@ -0,0 +1,55 @@
+// utils/storage/localDiskStorage.js
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Storage adapter that keeps files on the local disk under `baseDir`
+ */
+const createLocalDiskStorage = (baseDir) => {
+    const root = path.resolve(baseDir);
+
+    // Keys come from the database, but never let one escape the upload directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async save({ buffer, filename }) {
+            const now = new Date();
+            const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+            const key = path.posix.join(
+                String(now.getUTCFullYear()),
+                String(now.getUTCMonth() + 1).padStart(2, '0'),
+                `${randomUUID()}${extension}`
+            );
+
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+            return { key, size: buffer.length };
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                // Already gone is as good as removed
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+export default createLocalDiskStorage;
\ No newline at end of file
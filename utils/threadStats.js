@@ -0,0 +1,22 @@
+// utils/threadStats.js
+import Message from '../models/Message.js';
+
+// Recompute reply count and last reply time on a thread parent
+export const refreshThreadStats = async (parentMessageId) => {
+    const [replyCount, lastReply] = await Promise.all([
+        Message.countDocuments({ parentMessage: parentMessageId }),
+        Message.findOne({ parentMessage: parentMessageId })
+            .sort({ createdAt: -1 })
+            .select('createdAt')
+            .lean()
+    ]);
+
+    return Message.findByIdAndUpdate(
+        parentMessageId,
+        {
+            replyCount,
+            lastReplyAt: lastReply ? lastReply.createdAt : null
+        },
+        { new: true }
+    ).select('isDeleted deletedAt replyCount').lean();
+};
\ No newline at end of file
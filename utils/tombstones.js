@@ -0,0 +1,28 @@
+// utils/tombstones.js
+
+// Days a deleted message keeps its original content before the purge job removes it
+export const DELETED_MESSAGE_RETENTION_DAYS = parseInt(process.env.DELETED_MESSAGE_RETENTION_DAYS) || 30;
+
+const TOMBSTONE_TEXT = {
+    sender: 'This message was deleted by the sender',
+    admin: 'This message was deleted by an admin'
+};
+
+/**
+ * Placeholder content shown in place of a deleted message
+ */
+export const tombstoneContent = (deletedByRole) => TOMBSTONE_TEXT[deletedByRole] || TOMBSTONE_TEXT.sender;
+
+/**
+ * Messages deleted before this date are past their retention period
+ */
+export const getRetentionCutoff = (now = Date.now()) => {
+    return new Date(now - DELETED_MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * When a message deleted at `deletedAt` will be purged
+ */
+export const getPurgeDate = (deletedAt) => {
+    return new Date(new Date(deletedAt).getTime() + DELETED_MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
\ No newline at end of file
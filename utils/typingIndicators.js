@@ -0,0 +1,96 @@
+// utils/typingIndicators.js
+import TypingIndicator from '../models/TypingIndicator.js';
+import { emitGroupEvent } from './messageEvents.js';
+
+// Typing entries expire unless the client starts typing again within this many seconds
+export const TYPING_TTL_SECONDS = parseInt(process.env.TYPING_TTL_SECONDS) || 6;
+
+// "groupId:userId" -> timer that announces the expiry; only a hint, since an instance
+// may be frozen or gone by then, so clients also drop entries at their expiresAt
+const expiryTimers = new Map();
+
+const timerKey = (groupId, userId) => `${groupId}:${userId}`;
+
+const clearExpiryTimer = (groupId, userId) => {
+    const key = timerKey(groupId, userId);
+    clearTimeout(expiryTimers.get(key));
+    expiryTimers.delete(key);
+};
+
+// Remove the entry once it has lapsed, unless another start (on any instance) pushed it back
+const expireTyping = async (groupId, userId) => {
+    expiryTimers.delete(timerKey(groupId, userId));
+
+    try {
+        const { deletedCount } = await TypingIndicator.deleteOne({
+            group: groupId,
+            user: userId,
+            expiresAt: { $lte: new Date() }
+        });
+
+        if (deletedCount > 0) {
+            emitGroupEvent('typing.stopped', groupId, { userId, reason: 'expired' });
+        }
+    } catch (error) {
+        console.error('❌ Typing expiry error:', error.message);
+    }
+};
+
+/**
+ * Mark a user as typing in a group, or extend an existing entry.
+ * Only the first start is broadcast; expiry and stops broadcast typing.stopped.
+ */
+export const startTyping = async (groupId, user) => {
+    const groupKey = groupId.toString();
+    const userKey = user._id.toString();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + TYPING_TTL_SECONDS * 1000);
+
+    const previous = await TypingIndicator.findOneAndUpdate(
+        { group: groupKey, user: userKey },
+        { name: user.name, expiresAt },
+        { upsert: true, new: false }
+    ).lean();
+
+    clearExpiryTimer(groupKey, userKey);
+    const timer = setTimeout(() => expireTyping(groupKey, userKey), TYPING_TTL_SECONDS * 1000);
+    timer.unref();
+    expiryTimers.set(timerKey(groupKey, userKey), timer);
+
+    if (!previous || previous.expiresAt <= now) {
+        emitGroupEvent('typing.started', groupKey, { user: { _id: user._id, name: user.name }, expiresAt });
+    }
+
+    return expiresAt;
+};
+
+/**
+ * Clear a user's typing entry; reason is 'stopped', 'expired' or 'sent'
+ */
+export const stopTyping = async (groupId, userId, reason = 'stopped') => {
+    const groupKey = groupId.toString();
+    const userKey = userId.toString();
+
+    clearExpiryTimer(groupKey, userKey);
+
+    const removed = await TypingIndicator.findOneAndDelete({ group: groupKey, user: userKey }).lean();
+
+    if (!removed) {
+        return false;
+    }
+
+    emitGroupEvent('typing.stopped', groupKey, { userId: userKey, reason });
+
+    return true;
+};
+
+/**
+ * Users currently typing in a group
+ */
+export const getTypingUsers = async (groupId) => {
+    const entries = await TypingIndicator.find({ group: groupId, expiresAt: { $gt: new Date() } })
+        .select('user name expiresAt')
+        .lean();
+
+    return entries.map(({ user, name, expiresAt }) => ({ user: { _id: user, name }, expiresAt }));
+};
\ No newline at end of file